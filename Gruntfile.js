@@ -92,6 +92,7 @@ module.exports = function(grunt) {
 
   var srcFiles = [
     'src/ffmpegserver.js',
+    'src/audiorecorder.js',
   ];
   var thirdPartyFiles = [
   ];
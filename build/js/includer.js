@@ -1,8 +1,11 @@
 define('main', [
     'src/ffmpegserver',
+    'src/audiorecorder',
   ], function(
-    ffmpegserver
+    ffmpegserver,
+    AudioRecorder
   ) {
+    ffmpegserver.AudioRecorder = AudioRecorder;
     return ffmpegserver;
 })
 
@@ -0,0 +1,294 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var fs      = require('fs');
+var Promise = require('bluebird');
+
+var openP  = Promise.promisify(fs.open);
+var writeP = Promise.promisify(fs.write);
+var closeP = Promise.promisify(fs.close);
+var readFileP = Promise.promisify(fs.readFile);
+
+/**
+ * A file to put in an archive. The same file can be in
+ * an archive more than once under different names.
+ *
+ * @typedef {Object} Archive~Entry
+ * @property {string} name path in the archive. Use "/" between folders
+ * @property {string} file the file on disk
+ */
+
+var crcTable = (function() {
+  var table = [];
+  for (var n = 0; n < 256; ++n) {
+    var c = n;
+    for (var k = 0; k < 8; ++k) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table.push(c >>> 0);
+  }
+  return table;
+}());
+
+var crc32 = function(buffer) {
+  var crc = 0xFFFFFFFF;
+  for (var ii = 0; ii < buffer.length; ++ii) {
+    crc = crcTable[(crc ^ buffer[ii]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Time and date in the MS-DOS format zip uses
+var dosTime = function(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+};
+
+// Past these the ZIP64 records hold the real values
+var maxZipEntries = 0xFFFF;
+var maxZipOffset = 0xFFFFFFFF;
+
+// Writes a number that may be more than 32 bits
+var writeUInt64LE = function(buffer, value, offset) {
+  buffer.writeUInt32LE(value % 0x100000000, offset);
+  buffer.writeUInt32LE(Math.floor(value / 0x100000000), offset + 4);
+};
+
+// Files are stored, not compressed. Images are compressed already.
+var zipEntryHeader = function(name, crc, size, when) {
+  var header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);   // local file header
+  header.writeUInt16LE(20, 4);           // version needed
+  header.writeUInt16LE(0x0800, 6);       // names are UTF-8
+  header.writeUInt16LE(0, 8);            // stored
+  header.writeUInt16LE(when.time, 10);
+  header.writeUInt16LE(when.date, 12);
+  header.writeUInt32LE(crc, 14);
+  header.writeUInt32LE(size, 18);
+  header.writeUInt32LE(size, 22);
+  header.writeUInt16LE(name.length, 26);
+  header.writeUInt16LE(0, 28);           // extra field length
+  return Buffer.concat([header, name]);
+};
+
+var zipCentralHeader = function(name, crc, size, when, offset) {
+  var zip64 = offset >= maxZipOffset;
+  var extra = Buffer.alloc(zip64 ? 12 : 0);
+  if (zip64) {
+    extra.writeUInt16LE(0x0001, 0);      // ZIP64 extra field
+    extra.writeUInt16LE(8, 2);
+    writeUInt64LE(extra, offset, 4);
+  }
+  var header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);   // central directory header
+  header.writeUInt16LE(zip64 ? 45 : 20, 4);  // version made by
+  header.writeUInt16LE(zip64 ? 45 : 20, 6);  // version needed
+  header.writeUInt16LE(0x0800, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(when.time, 12);
+  header.writeUInt16LE(when.date, 14);
+  header.writeUInt32LE(crc, 16);
+  header.writeUInt32LE(size, 20);
+  header.writeUInt32LE(size, 24);
+  header.writeUInt16LE(name.length, 28);
+  header.writeUInt16LE(extra.length, 30);
+  header.writeUInt32LE(zip64 ? maxZipOffset : offset, 42);
+  return Buffer.concat([header, name, extra]);
+};
+
+// The end of central directory. With too many entries, or the
+// directory too far in, ZIP64 records come first with the real values.
+var zipEnd = function(numEntries, size, offset) {
+  var end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);      // end of central directory
+  if (numEntries < maxZipEntries && offset + size < maxZipOffset) {
+    end.writeUInt16LE(numEntries, 8);
+    end.writeUInt16LE(numEntries, 10);
+    end.writeUInt32LE(size, 12);
+    end.writeUInt32LE(offset, 16);
+    return end;
+  }
+  end.writeUInt16LE(maxZipEntries, 8);
+  end.writeUInt16LE(maxZipEntries, 10);
+  end.writeUInt32LE(maxZipOffset, 12);
+  end.writeUInt32LE(maxZipOffset, 16);
+
+  var end64 = Buffer.alloc(56);
+  end64.writeUInt32LE(0x06064b50, 0);    // ZIP64 end of central directory
+  writeUInt64LE(end64, 44, 4);           // size of the rest of it
+  end64.writeUInt16LE(45, 12);
+  end64.writeUInt16LE(45, 14);
+  writeUInt64LE(end64, numEntries, 24);
+  writeUInt64LE(end64, numEntries, 32);
+  writeUInt64LE(end64, size, 40);
+  writeUInt64LE(end64, offset, 48);
+
+  var locator = Buffer.alloc(20);
+  locator.writeUInt32LE(0x07064b50, 0);  // ZIP64 end of central directory locator
+  writeUInt64LE(locator, offset + size, 8);
+  locator.writeUInt32LE(1, 16);          // number of disks
+  return Buffer.concat([end64, locator, end]);
+};
+
+// A tar header field. Numbers are octal.
+var writeTarField = function(header, offset, length, value) {
+  header.write(String(value).substr(0, length - 1), offset, length - 1, 'utf8');
+};
+
+var tarHeader = function(name, size, mtime) {
+  var header = Buffer.alloc(512);
+  var nameBytes = Buffer.from(name, 'utf8');
+  var prefix = "";
+  var split = name.lastIndexOf("/", 155);
+  if (nameBytes.length > 100 && split > 0) {
+    // ustar can split a long name at a "/" into prefix and name
+    prefix = name.substr(0, split);
+    name = name.substr(split + 1);
+  }
+  writeTarField(header, 0, 100, name);
+  writeTarField(header, 100, 8, "0000644");
+  writeTarField(header, 108, 8, "0000000");
+  writeTarField(header, 116, 8, "0000000");
+  writeTarField(header, 124, 12, ("00000000000" + size.toString(8)).substr(-11));
+  writeTarField(header, 136, 12, ("00000000000" + Math.floor(mtime / 1000).toString(8)).substr(-11));
+  header.fill(0x20, 148, 156);           // checksum counts as spaces
+  header.write("0", 156);                // regular file
+  header.write("ustar\u000000", 257, 8, 'binary');
+  writeTarField(header, 345, 155, prefix);
+  var sum = 0;
+  for (var ii = 0; ii < header.length; ++ii) {
+    sum += header[ii];
+  }
+  writeTarField(header, 148, 8, ("000000" + sum.toString(8)).substr(-6) + "\u0000 ");
+  return header;
+};
+
+// Writes the entries one at a time so only one file is in memory.
+var writeEntries = function(filename, entries, progress, writeEntry, finish) {
+  return openP(filename, 'w').then(function(fd) {
+    var position = 0;
+    var write = function(buffer) {
+      return writeP(fd, buffer, 0, buffer.length, position).then(function() {
+        position += buffer.length;
+      });
+    };
+    return Promise.each(entries, function(entry, ndx) {
+      return readFileP(entry.file).then(function(data) {
+        return writeEntry(write, entry, data, position);
+      }).then(function() {
+        if (progress) {
+          progress((ndx + 1) / entries.length);
+        }
+      });
+    }).then(function() {
+      return finish(write, position);
+    }).finally(function() {
+      return closeP(fd);
+    });
+  });
+};
+
+/**
+ * Writes a zip. Files are stored without compression. ZIP64 is used
+ * once there are more than 65535 entries or it's over 4GB.
+ * @param {string} filename the zip to make
+ * @param {Archive~Entry[]} entries
+ * @param {function(number)?} progress called with 0 to 1 as
+ *        entries are written
+ * @return {Promise}
+ */
+var writeZip = function(filename, entries, progress) {
+  var when = dosTime(new Date());
+  var central = [];
+  return writeEntries(filename, entries, progress, function(write, entry, data, offset) {
+    // Only the offset can need ZIP64. Files read into memory
+    // can't be 4GB.
+    var name = Buffer.from(entry.name, 'utf8');
+    var crc = crc32(data);
+    central.push(zipCentralHeader(name, crc, data.length, when, offset));
+    return write(zipEntryHeader(name, crc, data.length, when)).then(function() {
+      return write(data);
+    });
+  }, function(write, offset) {
+    var directory = Buffer.concat(central);
+    return write(Buffer.concat([directory, zipEnd(entries.length, directory.length, offset)]));
+  });
+};
+
+/**
+ * Writes a tar.
+ * @param {string} filename the tar to make
+ * @param {Archive~Entry[]} entries
+ * @param {function(number)?} progress called with 0 to 1 as
+ *        entries are written
+ * @return {Promise}
+ */
+var writeTar = function(filename, entries, progress) {
+  var mtime = Date.now();
+  return writeEntries(filename, entries, progress, function(write, entry, data) {
+    var padding = Buffer.alloc((512 - data.length % 512) % 512);
+    return write(Buffer.concat([tarHeader(entry.name, data.length, mtime), data, padding]));
+  }, function(write) {
+    // Two empty blocks end a tar
+    return write(Buffer.alloc(1024));
+  });
+};
+
+var writers = {
+  zip: writeZip,
+  tar: writeTar,
+};
+
+/**
+ * Kinds of archive that can be made
+ */
+var formats = Object.keys(writers);
+
+/**
+ * Writes an archive
+ * @param {string} format one of `formats`
+ * @param {string} filename
+ * @param {Archive~Entry[]} entries
+ * @param {function(number)?} progress
+ * @return {Promise}
+ */
+var write = function(format, filename, entries, progress) {
+  return writers[format](filename, entries, progress);
+};
+
+exports.crc32 = crc32;
+exports.formats = formats;
+exports.write = write;
+exports.writeTar = writeTar;
+exports.writeZip = writeZip;
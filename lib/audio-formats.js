@@ -0,0 +1,172 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var utils = require('./utils');
+
+/**
+ * @typedef {Object} AudioFormat
+ * @property {string} name eg "wav"
+ * @property {string} extension extension used for the file
+ * @property {string[]} mimeTypes mime types clients may declare for it
+ * @property {function(Buffer): boolean} check returns true if the
+ *           start of a file is this format.
+ */
+
+function ascii(str) {
+  return Buffer.from(str, 'ascii');
+}
+
+// ADTS and MP3 frames both start with an 11+ bit sync word.
+// ADTS has layer 00, MP3 never does.
+function isADTS(buffer) {
+  return buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xF6) === 0xF0;
+}
+
+function isMP3Frame(buffer) {
+  return buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0 && (buffer[1] & 0x06) !== 0;
+}
+
+// Order matters. Formats are checked in this order when sniffing.
+var formats = [
+  {
+    name: "wav",
+    extension: ".wav",
+    mimeTypes: ["audio/wav", "audio/wave", "audio/x-wav"],
+    check: function(buffer) {
+      return utils.startsWith(buffer, ascii("RIFF")) && utils.startsWith(buffer, ascii("WAVE"), 8);
+    },
+  },
+  {
+    name: "ogg",
+    extension: ".ogg",
+    mimeTypes: ["audio/ogg"],
+    check: function(buffer) {
+      return utils.startsWith(buffer, ascii("OggS"));
+    },
+  },
+  {
+    name: "flac",
+    extension: ".flac",
+    mimeTypes: ["audio/flac", "audio/x-flac"],
+    check: function(buffer) {
+      return utils.startsWith(buffer, ascii("fLaC"));
+    },
+  },
+  {
+    name: "m4a",
+    extension: ".m4a",
+    mimeTypes: ["audio/mp4", "audio/x-m4a"],
+    check: function(buffer) {
+      return utils.startsWith(buffer, ascii("ftyp"), 4);
+    },
+  },
+  {
+    name: "aac",
+    extension: ".aac",
+    mimeTypes: ["audio/aac", "audio/x-aac"],
+    check: isADTS,
+  },
+  {
+    name: "mp3",
+    extension: ".mp3",
+    mimeTypes: ["audio/mpeg", "audio/mp3"],
+    check: function(buffer) {
+      return utils.startsWith(buffer, ascii("ID3")) || isMP3Frame(buffer);
+    },
+  },
+];
+
+/**
+ * Gets an audio format by the mime type a client declared.
+ * @param {string} mimeType
+ * @return {AudioFormat?} the format or undefined if it's not one we take.
+ */
+var getFormatByMimeType = function(mimeType) {
+  if (typeof mimeType !== 'string') {
+    return undefined;
+  }
+  mimeType = mimeType.split(';')[0].trim().toLowerCase();
+  return formats.filter(function(format) {
+    return format.mimeTypes.indexOf(mimeType) >= 0;
+  })[0];
+};
+
+/**
+ * Figures out the format from the start of the file.
+ * @param {Buffer} buffer at least the first few bytes of the file
+ * @return {AudioFormat?} the format or undefined if it's not one we know.
+ */
+var sniff = function(buffer) {
+  return formats.filter(function(format) {
+    return format.check(buffer);
+  })[0];
+};
+
+/**
+ * @return {string[]} every mime type we take.
+ */
+var getMimeTypes = function() {
+  return formats.reduce(function(mimeTypes, format) {
+    return mimeTypes.concat(format.mimeTypes);
+  }, []);
+};
+
+/**
+ * Makes the header for a 16 bit PCM WAV file.
+ * @param {number} dataSize size of the samples in bytes
+ * @param {number} sampleRate
+ * @param {number} channels
+ * @return {Buffer} the 44 byte header
+ */
+var makeWavHeader = function(dataSize, sampleRate, channels) {
+  var bytesPerFrame = channels * 2;
+  var header = Buffer.alloc(44);
+  header.write("RIFF", 0, 'ascii');
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write("WAVE", 8, 'ascii');
+  header.write("fmt ", 12, 'ascii');
+  header.writeUInt32LE(16, 16);           // fmt chunk size
+  header.writeUInt16LE(1, 20);            // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * bytesPerFrame, 28);
+  header.writeUInt16LE(bytesPerFrame, 32);
+  header.writeUInt16LE(16, 34);           // bits per sample
+  header.write("data", 36, 'ascii');
+  header.writeUInt32LE(dataSize, 40);
+  return header;
+};
+
+exports.getFormatByMimeType = getFormatByMimeType;
+exports.makeWavHeader = makeWavHeader;
+exports.getMimeTypes = getMimeTypes;
+exports.sniff = sniff;
@@ -35,19 +35,51 @@ var debug        = require('debug')('ffmpeg-runner');
 var EventEmitter = require('events').EventEmitter;
 var ffmpeg       = require('ffmpeg-static');
 
-function FFMpegRunner(args) {
+/**
+ * FFMpegRunner options
+ * @typedef {Object} FFMpegRunner~Options
+ * @property {boolean?} stdin true to feed input through `write`.
+ *     args should then read from `pipe:0`.
+ */
+
+/**
+ * Runs ffmpeg. Emits `frame` as ffmpeg reports progress then
+ * `done` or `error` with the result.
+ *
+ * @constructor
+ * @param {string[]} args arguments for ffmpeg
+ * @param {FFMpegRunner~Options?} options
+ */
+function FFMpegRunner(args, options) {
+  options = options || {};
   var emitter = new EventEmitter();
   var spawn = require('child_process').spawn;
   var cmd = ffmpeg.path;
 
-  debug(cmd + '"' + args.join('" "') + '"');
-  var proc = spawn(cmd, args, {
-    shell: true
-  });
+  debug(cmd + ' "' + args.join('" "') + '"');
+  // No shell so nothing in args is ever run as a command
+  var proc = spawn(cmd, args);
   var stdout = [];
   var stderr = [];
   var highestFrameNumber = -1;
   var frameNumRE = /frame= *(\d+) /;
+  var finished = false;
+
+  var finish = function(event, result) {
+    if (!finished) {
+      finished = true;
+      emitter.emit(event, result);
+    }
+  };
+
+  proc.on('error', function(e) {
+    finish('error', {
+      code: -1,
+      error: e,
+      stdout: "",
+      stderr: e.toString(),
+    });
+  });
 
   proc.stdout.setEncoding('utf8');
   proc.stdout.on('data', function (data) {
@@ -78,12 +110,49 @@ function FFMpegRunner(args) {
       stderr: stderr.join(""),
     };
     if (code !== 0) {
-      emitter.emit('error', result)
+      finish('error', result);
     } else {
-      emitter.emit('done', result);
+      finish('done', result);
     }
   });
 
+  if (options.stdin) {
+    // ffmpeg may exit before we're done writing. That's reported
+    // through 'error' on close so don't let EPIPE crash us.
+    proc.stdin.on('error', function(e) {
+      debug("stdin error: " + e);
+    });
+    proc.stdin.on('drain', function() {
+      emitter.emit('drain');
+    });
+
+    /**
+     * Writes data to ffmpeg's stdin.
+     * @param {Buffer} data
+     * @param {function(err)?} callback called once the data
+     *        has been handed to ffmpeg.
+     * @return {boolean} false if the caller should wait for
+     *        'drain' before writing more.
+     */
+    this.write = function(data, callback) {
+      return proc.stdin.write(data, callback);
+    };
+
+    /**
+     * Closes stdin so ffmpeg finishes encoding.
+     */
+    this.end = function() {
+      proc.stdin.end();
+    };
+  }
+
+  /**
+   * Stops ffmpeg. 'error' will be emitted as it exits.
+   */
+  this.kill = function() {
+    proc.kill();
+  };
+
   this.on = emitter.on.bind(emitter);
 }
 
@@ -0,0 +1,301 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var debug        = require('debug')('frame-formats');
+var FFMpegRunner = require('./ffmpeg-runner');
+var Promise      = require('bluebird');
+var utils        = require('./utils');
+
+/**
+ * @typedef {Object} FrameFormat
+ * @property {string} name name used by `start({frameFormat: name})`
+ * @property {string} extension extension used for frame files
+ * @property {string?} mimeType mime type of the image or undefined for raw frames
+ * @property {string?} codec ffmpeg decoder to force when reading from a pipe
+ * @property {boolean?} raw true if frames are raw pixels
+ * @property {boolean} alpha true if frames can have transparency
+ * @property {function(Buffer): boolean} check returns true if the buffer is this
+ *           format. Not set for raw frames.
+ * @property {function(Buffer): {width: number, height: number}?} getSize gets the
+ *           size of the image if it can tell. Not set for raw frames.
+ */
+
+var PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+function getPNGSize(buffer) {
+  // IHDR is always the first chunk
+  if (buffer.length < 24) {
+    return;
+  }
+  return {
+    width: buffer.readUInt32BE(16),
+    height: buffer.readUInt32BE(20),
+  };
+}
+
+function getJPEGSize(buffer) {
+  var offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) {
+      return;
+    }
+    var marker = buffer[offset + 1];
+    // SOF0 - SOF15 except DHT, JPG and DAC
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return {
+        width: buffer.readUInt16BE(offset + 7),
+        height: buffer.readUInt16BE(offset + 5),
+      };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+}
+
+function getWebPSize(buffer) {
+  if (buffer.length < 30) {
+    return;
+  }
+  var chunk = buffer.toString('ascii', 12, 16);
+  switch (chunk) {
+    case 'VP8 ':
+      return {
+        width: buffer.readUInt16LE(26) & 0x3FFF,
+        height: buffer.readUInt16LE(28) & 0x3FFF,
+      };
+    case 'VP8L':
+      var bits = buffer.readUInt32LE(21);
+      return {
+        width: (bits & 0x3FFF) + 1,
+        height: ((bits >> 14) & 0x3FFF) + 1,
+      };
+    case 'VP8X':
+      return {
+        width: buffer.readUIntLE(24, 3) + 1,
+        height: buffer.readUIntLE(27, 3) + 1,
+      };
+  }
+}
+
+var formats = {
+  png: {
+    extension: ".png",
+    mimeType: "image/png",
+    codec: "png",
+    alpha: true,
+    check: function(buffer) {
+      return utils.startsWith(buffer, PNG_SIGNATURE);
+    },
+    getSize: getPNGSize,
+  },
+  jpeg: {
+    extension: ".jpg",
+    mimeType: "image/jpeg",
+    codec: "mjpeg",
+    alpha: false,
+    check: function(buffer) {
+      return utils.startsWith(buffer, [0xFF, 0xD8, 0xFF]);
+    },
+    getSize: getJPEGSize,
+  },
+  webp: {
+    extension: ".webp",
+    mimeType: "image/webp",
+    codec: "webp",
+    alpha: true,
+    check: function(buffer) {
+      return utils.startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) &&     // RIFF
+             utils.startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8);    // WEBP
+    },
+    getSize: getWebPSize,
+  },
+  rgba: {
+    extension: ".rgba",
+    raw: true,
+    alpha: true,
+  },
+};
+
+Object.keys(formats).forEach(function(name) {
+  formats[name].name = name;
+});
+
+/**
+ * Formats frames can be saved in for an image sequence.
+ * `arguments` are the ffmpeg output arguments that make it.
+ * exr needs an ffmpeg with the exr encoder, 5.0 or newer, so it
+ * can't be used until `checkSequenceFormats` has found the encoder.
+ * @type {Object.<string, {extension: string, arguments: string[], encoder: string, available: boolean}>}
+ */
+var sequenceFormats = {
+  png: {
+    extension: ".png",
+    arguments: ["-c:v", "png"],
+    encoder: "png",
+    available: true,
+  },
+  jpeg: {
+    extension: ".jpg",
+    arguments: ["-c:v", "mjpeg", "-q:v", "2"],
+    encoder: "mjpeg",
+    available: true,
+  },
+  tiff: {
+    extension: ".tif",
+    arguments: ["-c:v", "tiff"],
+    encoder: "tiff",
+    available: true,
+  },
+  exr: {
+    extension: ".exr",
+    arguments: ["-c:v", "exr"],
+    encoder: "exr",
+    available: false,
+  },
+};
+
+/**
+ * Asks ffmpeg which encoders it has and marks each sequence
+ * format as available or not.
+ * @return {Promise} resolves once checked. A format stays as it
+ *     was if ffmpeg couldn't be run.
+ */
+var checkSequenceFormats = function() {
+  return new Promise(function(fulfill) {
+    var runner = new FFMpegRunner(["-hide_banner", "-encoders"]);
+    runner.on('done', function(result) {
+      // Lines look like " V....D exr                  OpenEXR image"
+      var encoders = {};
+      result.stdout.split(/\r?\n/).forEach(function(line) {
+        var m = /^\s*[VAS][.A-Z]{5}\s+([^=\s]\S*)/.exec(line);
+        if (m) {
+          encoders[m[1]] = true;
+        }
+      });
+      Object.keys(sequenceFormats).forEach(function(name) {
+        var format = sequenceFormats[name];
+        format.available = !!encoders[format.encoder];
+        debug(name + (format.available ? " can" : " can not") + " be made");
+      });
+      fulfill();
+    });
+    runner.on('error', function(result) {
+      console.error("could not get ffmpeg's encoders: " + result.stderr);
+      fulfill();
+    });
+  });
+};
+
+/**
+ * Gets a frame format by name
+ * @param {string} name
+ * @return {FrameFormat?} the format or undefined if there is no such format.
+ */
+var getFormat = function(name) {
+  return Object.prototype.hasOwnProperty.call(formats, name) ? formats[name] : undefined;
+};
+
+/**
+ * Checks a frame matches the format and, if given, the size.
+ * @param {FrameFormat} format
+ * @param {Buffer} buffer the frame
+ * @param {number?} width expected width
+ * @param {number?} height expected height
+ * @return {string?} undefined if the frame is good, else why it's not
+ */
+var validateFrame = function(format, buffer, width, height) {
+  if (format.raw) {
+    var expected = width * height * 4;
+    if (buffer.length !== expected) {
+      return "expected " + expected + " bytes for " + width + "x" + height + " rgba frame, got " + buffer.length;
+    }
+    return;
+  }
+  if (!format.check(buffer)) {
+    return "frame is not " + format.name;
+  }
+  if (width && height) {
+    var size = format.getSize(buffer);
+    if (size && (size.width !== width || size.height !== height)) {
+      return "expected " + width + "x" + height + " frame, got " + size.width + "x" + size.height;
+    }
+  }
+};
+
+/**
+ * Gets the ffmpeg arguments to read frames
+ * @param {FrameFormat} format
+ * @param {Object} settings
+ * @param {number} settings.framerate
+ * @param {number?} settings.width required for raw frames
+ * @param {number?} settings.height required for raw frames
+ * @param {string?} settings.pattern the filename pattern of the frames, eg `foo-%d.png`.
+ *        If not set frames are read from stdin.
+ * @return {string[]} the arguments
+ */
+var getInputArgs = function(format, settings) {
+  var args = ["-framerate", settings.framerate];
+  if (format.raw) {
+    var size = settings.width + "x" + settings.height;
+    if (settings.pattern) {
+      args.push(
+        "-f", "image2",
+        "-c:v", "rawvideo",
+        "-pixel_format", "rgba",
+        "-video_size", size,
+        "-start_number", "0",
+        "-i", settings.pattern);
+    } else {
+      args.push(
+        "-f", "rawvideo",
+        "-pix_fmt", "rgba",
+        "-s", size,
+        "-i", "pipe:0");
+    }
+  } else if (settings.pattern) {
+    args.push(
+      "-pattern_type", "sequence",
+      "-start_number", "0",
+      "-i", settings.pattern);
+  } else {
+    args.push(
+      "-f", "image2pipe",
+      "-c:v", format.codec,
+      "-i", "pipe:0");
+  }
+  return args;
+};
+
+exports.getFormat = getFormat;
+exports.getInputArgs = getInputArgs;
+exports.sequenceFormats = sequenceFormats;
+exports.checkSequenceFormats = checkSequenceFormats;
+exports.validateFrame = validateFrame;
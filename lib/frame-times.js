@@ -0,0 +1,130 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var overlays = require('./overlays');
+
+/**
+ * Output arguments that keep the frames' own times, to the
+ * millisecond, instead of making them constant rate.
+ */
+var vfrArguments = ["-vsync", "vfr", "-r", "1000"];
+
+/**
+ * Works out when each frame is shown, from the start of the video.
+ * Frames without a time come one frame after the one before. Times
+ * always go forward, frames that would be at the same millisecond
+ * or earlier are moved after the one before.
+ * @param {number[]} times seconds for each frame. Can have holes.
+ * @param {number} numFrames
+ * @param {number} framerate
+ * @return {number[]} milliseconds for each frame
+ */
+var getTimes = function(times, numFrames, framerate) {
+  var ms = [];
+  var prev;
+  for (var ii = 0; ii < numFrames; ++ii) {
+    var time = times[ii];
+    var t = time !== undefined ? Math.round(time * 1000) :
+        (prev === undefined ? 0 : Math.round(prev + 1000 / framerate));
+    if (prev !== undefined && t <= prev) {
+      t = prev + 1;
+    }
+    ms.push(t);
+    prev = t;
+  }
+  return ms.map(function(t) {
+    return t - ms[0];
+  });
+};
+
+// Makes an expression that picks the time for frame N. It's a
+// balanced tree of ifs so long videos aren't slow to evaluate.
+var makeExpression = function(ms, start, end) {
+  if (end - start === 1) {
+    return String(ms[start]);
+  }
+  var mid = (start + end) >> 1;
+  return "if(lt(N," + mid + ")," +
+      makeExpression(ms, start, mid) + "," +
+      makeExpression(ms, mid, end) + ")";
+};
+
+// How many times the last frame is repeated. The first repeat is when
+// the video ends so the last frame is shown until then instead of
+// being cut off. The others are a millisecond apart. They cover encoders that
+// reorder frames, like x264 with B-frames, whose last frames the
+// mp4 muxer otherwise leaves out of its edit list.
+var numRepeats = 3;
+
+/**
+ * Gets the filters that put the frames at their times.
+ *
+ * The expression is long, one entry per frame, so pass these
+ * in a file with `-filter_script` rather than on the command line.
+ * @param {number[]} ms from `getTimes`. When each frame is shown
+ *        then when the video ends. At least one frame.
+ * @return {string[]}
+ */
+var getFilters = function(ms) {
+  var lastNdx = ms.length - 2;
+  var end = ms[lastNdx + 1];
+  ms = ms.slice(0, lastNdx + 1);
+  for (var ii = 0; ii < numRepeats; ++ii) {
+    ms.push(end + ii);
+  }
+  return [
+    "loop=loop=" + numRepeats + ":size=1:start=" + lastNdx,
+    "settb=1/1000",
+    "setpts=" + overlays.escape(makeExpression(ms, 0, ms.length)),
+  ];
+};
+
+/**
+ * Parses timecode format v2, what the `timestamps` message sends.
+ * Comments then a time in milliseconds per frame.
+ * @param {string} text
+ * @return {number[]} seconds for each frame
+ */
+var parseTimecodes = function(text) {
+  return text.split(/\r?\n/).map(function(line) {
+    return line.trim();
+  }).filter(function(line) {
+    return line && line[0] !== '#';
+  }).map(function(line) {
+    return parseFloat(line) / 1000;
+  });
+};
+
+exports.getFilters = getFilters;
+exports.getTimes = getTimes;
+exports.parseTimecodes = parseTimecodes;
+exports.vfrArguments = vfrArguments;
@@ -0,0 +1,132 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var overlays = require('./overlays');
+
+/**
+ * How a GIF is made. Every setting is optional.
+ *
+ * @typedef {Object} Gif~Options
+ * @property {string?} dither one of `dithers`. Default "sierra2_4a"
+ * @property {number?} maxColors colors in the palette, 2 to 256. Default 256
+ * @property {number?} loop times to play it. 0 is forever, -1 is
+ *           once. Default 0
+ * @property {number?} frameSkip frames to drop after each one kept.
+ *           Default 0
+ * @property {number?} maxWidth scale down to this width if wider
+ */
+
+/**
+ * Dither algorithms ffmpeg's paletteuse knows
+ */
+var dithers = [
+  "bayer",
+  "heckbert",
+  "floyd_steinberg",
+  "sierra2",
+  "sierra2_4a",
+  "none",
+];
+
+// Filters used by both passes so they see the same frames.
+var getPreFilters = function(options, framerate) {
+  var filters = [];
+  if (options.frameSkip) {
+    filters.push('fps=fps=' + framerate / (options.frameSkip + 1));
+  }
+  if (options.maxWidth) {
+    filters.push('scale=' + overlays.escape('w=min(' + options.maxWidth + ',iw)') + ':h=-1:flags=lanczos');
+  }
+  return filters;
+};
+
+/**
+ * Gets how many frames each pass makes
+ * @param {Gif~Options} options
+ * @param {number} numFrames frames in the video
+ * @return {number}
+ */
+var getNumFrames = function(options, numFrames) {
+  return Math.ceil(numFrames / ((options.frameSkip || 0) + 1));
+};
+
+/**
+ * Gets the ffmpeg arguments for the first pass which makes the palette.
+ * The frames also go to a null output so ffmpeg reports progress.
+ * @param {string} input the video
+ * @param {string} palette the palette .png to make
+ * @param {Gif~Options} options
+ * @param {number} framerate of the video
+ * @return {string[]}
+ */
+var getPaletteArgs = function(input, palette, options, framerate) {
+  var filters = getPreFilters(options, framerate).concat([
+    'split[frames][palin]',
+  ]);
+  return [
+    '-y',
+    '-i', input,
+    '-filter_complex', '[0:v]' + filters.join(',') + ';' +
+        '[palin]palettegen=max_colors=' + (options.maxColors || 256) + '[palette]',
+    '-map', '[frames]', '-f', 'null', '-',
+    '-map', '[palette]', palette,
+  ];
+};
+
+/**
+ * Gets the ffmpeg arguments for the second pass which makes the GIF
+ * using the palette. Add the .gif's filename, after any other output
+ * arguments.
+ * @param {string} input the video
+ * @param {string} palette the palette from the first pass
+ * @param {Gif~Options} options
+ * @param {number} framerate of the video
+ * @return {string[]}
+ */
+var getGifArgs = function(input, palette, options, framerate) {
+  var filters = getPreFilters(options, framerate);
+  var frames = filters.length ? '[0:v]' + filters.join(',') + '[frames];[frames]' : '[0:v]';
+  return [
+    '-y',
+    '-i', input,
+    '-i', palette,
+    '-filter_complex', frames + '[1:v]paletteuse=dither=' + (options.dither || 'sierra2_4a') + '[gif]',
+    '-map', '[gif]',
+    '-loop', String(options.loop || 0),
+  ];
+};
+
+exports.dithers = dithers;
+exports.getGifArgs = getGifArgs;
+exports.getNumFrames = getNumFrames;
+exports.getPaletteArgs = getPaletteArgs;
+
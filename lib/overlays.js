@@ -0,0 +1,343 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var fs           = require('fs');
+var frameFormats = require('./frame-formats');
+var path         = require('path');
+
+var fontDir = path.join(__dirname, '..', 'font');
+var defaultFont = "SourceSansPro-Regular";
+var maxLayers = 16;
+var maxTextLength = 1000;
+var maxImageSize = 10 * 1024 * 1024;
+
+/**
+ * Something drawn over the video.
+ *
+ * @typedef {Object} Overlay~Layer
+ * @property {string} type "text" or "image"
+ * @property {string?} text the text for text layers
+ * @property {string?} image a png, jpeg or webp data URL for image layers
+ * @property {string?} font name of a font in the `font` folder without
+ *           its extension. Default "SourceSansPro-Regular"
+ * @property {number?} size text height or image width in pixels. Default 24
+ *           for text. Images default to their own size.
+ * @property {string?} color text color as "rrggbb" or "rrggbbaa". Default "ffffff"
+ * @property {string?} anchor where the layer goes. One of "top-left", "top",
+ *           "top-right", "left", "center", "right", "bottom-left", "bottom"
+ *           or "bottom-right". Default "bottom"
+ * @property {number?} margin pixels from the edges it's anchored to. Default 10
+ * @property {number?} start seconds into the video it appears. Default 0
+ * @property {number?} end seconds into the video it goes away. Default the end
+ * @property {number?} fadeIn seconds to fade in. Default 0
+ * @property {number?} fadeOut seconds to fade out. Default 0
+ */
+
+// For each anchor, where it goes horizontally and vertically
+var anchors = {
+  'top-left':     ['left',   'top'],
+  'top':          ['center', 'top'],
+  'top-right':    ['right',  'top'],
+  'left':         ['left',   'center'],
+  'center':       ['center', 'center'],
+  'right':        ['right',  'center'],
+  'bottom-left':  ['left',   'bottom'],
+  'bottom':       ['center', 'bottom'],
+  'bottom-right': ['right',  'bottom'],
+};
+
+/**
+ * Gets the names of the fonts layers can use.
+ * @return {string[]}
+ */
+var getFonts = function() {
+  return fs.readdirSync(fontDir).filter(function(file) {
+    return /\.(ttf|otf)$/i.test(file);
+  }).map(function(file) {
+    return path.basename(file, path.extname(file));
+  });
+};
+
+var getFontFile = function(name) {
+  var file = fs.readdirSync(fontDir).filter(function(file) {
+    return path.basename(file, path.extname(file)) === name && /\.(ttf|otf)$/i.test(file);
+  })[0];
+  return file ? path.join(fontDir, file) : undefined;
+};
+
+/**
+ * Gets the image of an image layer.
+ * @param {Overlay~Layer} layer
+ * @return {{format: FrameFormat, buffer: Buffer}?} the image or
+ *         undefined if it's not a png, jpeg or webp data URL
+ */
+var decodeImage = function(layer) {
+  var match = /^data:([a-z\/]+);base64,/.exec(layer.image);
+  if (!match) {
+    return;
+  }
+  var format = ["png", "jpeg", "webp"].map(frameFormats.getFormat).filter(function(format) {
+    return format.mimeType === match[1];
+  })[0];
+  if (!format) {
+    return;
+  }
+  var buffer = Buffer.from(layer.image.substr(match[0].length), 'base64');
+  if (!format.check(buffer)) {
+    return;
+  }
+  return {
+    format: format,
+    buffer: buffer,
+  };
+};
+
+var isNumber = function(v, min, max) {
+  return typeof v === 'number' && isFinite(v) && v >= min && v <= max;
+};
+
+/**
+ * Checks layers sent by a client.
+ * @param {Overlay~Layer[]} layers
+ * @return {string?} undefined if the layers are good, else why they're not
+ */
+var validateLayers = function(layers) {
+  if (!Array.isArray(layers)) {
+    return "overlays must be an array";
+  }
+  if (layers.length > maxLayers) {
+    return "too many overlays. max " + maxLayers;
+  }
+  var fonts = getFonts();
+  for (var ii = 0; ii < layers.length; ++ii) {
+    var layer = layers[ii];
+    var err = validateLayer(layer || {}, fonts);
+    if (err) {
+      return "overlays[" + ii + "]: " + err;
+    }
+  }
+};
+
+var validateLayer = function(layer, fonts) {
+  // Only layers the server makes can name a font by path
+  if (layer.fontFile !== undefined) {
+    return "fontFile can't be set. use font";
+  }
+  if (layer.type === "text") {
+    if (typeof layer.text !== 'string' || layer.text.length > maxTextLength) {
+      return "text must be a string of at most " + maxTextLength + " characters";
+    }
+    if (layer.font !== undefined && fonts.indexOf(layer.font) < 0) {
+      return "unknown font: " + layer.font + ". fonts are " + fonts.join(", ");
+    }
+    if (layer.color !== undefined && !/^#?([0-9a-f]{6}|[0-9a-f]{8})$/i.test(layer.color)) {
+      return "color must be rrggbb or rrggbbaa";
+    }
+  } else if (layer.type === "image") {
+    if (typeof layer.image !== 'string' || layer.image.length > maxImageSize) {
+      return "image must be a data URL of at most " + maxImageSize + " characters";
+    }
+    if (!decodeImage(layer)) {
+      return "image must be a png, jpeg or webp data URL";
+    }
+  } else {
+    return "type must be text or image";
+  }
+  if (layer.anchor !== undefined && !Object.prototype.hasOwnProperty.call(anchors, layer.anchor)) {
+    return "anchor must be one of " + Object.keys(anchors).join(", ");
+  }
+  if (layer.size !== undefined && !isNumber(layer.size, 1, 4096)) {
+    return "size must be from 1 to 4096";
+  }
+  var numbers = ['margin', 'start', 'end', 'fadeIn', 'fadeOut'];
+  for (var ii = 0; ii < numbers.length; ++ii) {
+    var key = numbers[ii];
+    if (layer[key] !== undefined && !isNumber(layer[key], 0, 1e6)) {
+      return key + " must be a number from 0 to 1000000";
+    }
+  }
+  if (layer.end !== undefined && layer.end <= (layer.start || 0)) {
+    return "end must be after start";
+  }
+};
+
+/**
+ * Escapes a value so it's passed to a filter as is. It's escaped
+ * once for the filter's options and again for the filter graph.
+ * See "Notes on filtergraph escaping" in the ffmpeg docs.
+ * @param {string|number} value
+ * @return {string}
+ */
+var escape = function(value) {
+  var option = String(value).replace(/[\\':]/g, '\\$&');
+  return option.replace(/[\\'\[\],;]/g, '\\$&');
+};
+
+var formatOptions = function(options) {
+  return Object.keys(options).filter(function(key) {
+    return options[key] !== undefined;
+  }).map(function(key) {
+    return key + '=' + escape(options[key]);
+  }).join(':');
+};
+
+// Expressions that place something `inner` in size at `where` in something `outer` in size
+var position = function(where, outer, inner, margin) {
+  switch (where) {
+    case 'left':
+    case 'top':
+      return String(margin);
+    case 'center':
+      return '(' + outer + '-' + inner + ')/2';
+    default:
+      return outer + '-' + inner + '-' + margin;
+  }
+};
+
+var getTiming = function(layer) {
+  var start = layer.start || 0;
+  return {
+    start: start,
+    end: layer.end,
+    fadeIn: layer.fadeIn || 0,
+    fadeOut: layer.fadeOut || 0,
+    enable: layer.end !== undefined ? 'between(t,' + start + ',' + layer.end + ')'
+          : start > 0 ? 'gte(t,' + start + ')'
+          : undefined,
+  };
+};
+
+// Opacity of text fading in and out. Undefined if it doesn't fade
+var textAlpha = function(timing) {
+  var terms = [];
+  if (timing.fadeIn > 0) {
+    terms.push('(t-' + timing.start + ')/' + timing.fadeIn);
+  }
+  if (timing.fadeOut > 0 && timing.end !== undefined) {
+    terms.push('(' + timing.end + '-t)/' + timing.fadeOut);
+  }
+  if (!terms.length) {
+    return;
+  }
+  return 'clip(' + terms.reduce(function(a, b) {
+    return 'min(' + a + ',' + b + ')';
+  }) + ',0,1)';
+};
+
+var textFilter = function(layer) {
+  var anchor = anchors[layer.anchor || 'bottom'];
+  var margin = layer.margin !== undefined ? layer.margin : 10;
+  var color = (layer.color || 'ffffff').replace(/^#/, '');
+  var timing = getTiming(layer);
+  return 'drawtext=' + formatOptions({
+    fontfile: layer.fontFile || getFontFile(layer.font || defaultFont),
+    text: layer.text,
+    expansion: 'none',
+    fontsize: layer.size || 24,
+    fontcolor: '0x' + color,
+    x: position(anchor[0], 'w', 'text_w', margin),
+    y: position(anchor[1], 'h', 'text_h', margin),
+    alpha: textAlpha(timing),
+    enable: timing.enable,
+  });
+};
+
+var imageFilters = function(layer, inputNdx, label) {
+  var timing = getTiming(layer);
+  var filters = ['format=rgba'];
+  if (layer.size) {
+    filters.push('scale=' + formatOptions({ w: layer.size, h: -1 }));
+  }
+  if (timing.fadeIn > 0) {
+    filters.push('fade=' + formatOptions({ t: 'in', st: timing.start, d: timing.fadeIn, alpha: 1 }));
+  }
+  if (timing.fadeOut > 0 && timing.end !== undefined) {
+    filters.push('fade=' + formatOptions({ t: 'out', st: timing.end - timing.fadeOut, d: timing.fadeOut, alpha: 1 }));
+  }
+  return '[' + inputNdx + ':v]' + filters.join(',') + '[' + label + ']';
+};
+
+var overlayFilter = function(layer) {
+  var anchor = anchors[layer.anchor || 'bottom'];
+  var margin = layer.margin !== undefined ? layer.margin : 10;
+  return 'overlay=' + formatOptions({
+    x: position(anchor[0], 'W', 'w', margin),
+    y: position(anchor[1], 'H', 'h', margin),
+    enable: getTiming(layer).enable,
+    shortest: 1,
+  });
+};
+
+/**
+ * Makes a filter graph that draws layers over a video. The video is
+ * input 0. Each image layer needs its own input after that, in order,
+ * looped so it lasts as long as the video (`-loop 1 -i file`).
+ *
+ * Layers should have been checked with `validateLayers`. Layers made
+ * by the server can set `fontFile` to use a font by path.
+ *
+ * @param {Overlay~Layer[]} layers
+ * @param {string[]?} filters filters to apply to the video first, eg
+ *        `["pad=w=640:h=640"]`. They must already be escaped.
+ * @return {string} the graph. Its output is labeled `[vout]`.
+ */
+var buildGraph = function(layers, filters) {
+  var graph = [];
+  var label = '0:v';
+  var numImages = 0;
+  if (filters && filters.length) {
+    graph.push('[' + label + ']' + filters.join(',') + '[pre]');
+    label = 'pre';
+  }
+  layers.forEach(function(layer, ndx) {
+    var out = ndx === layers.length - 1 ? 'vout' : 'v' + ndx;
+    if (layer.type === "image") {
+      ++numImages;
+      graph.push(imageFilters(layer, numImages, 'img' + ndx));
+      graph.push('[' + label + '][img' + ndx + ']' + overlayFilter(layer) + '[' + out + ']');
+    } else {
+      graph.push('[' + label + ']' + textFilter(layer) + '[' + out + ']');
+    }
+    label = out;
+  });
+  if (label !== 'vout') {
+    graph.push('[' + label + ']null[vout]');
+  }
+  return graph.join(';\n');
+};
+
+exports.buildGraph = buildGraph;
+exports.decodeImage = decodeImage;
+exports.escape = escape;
+exports.getFonts = getFonts;
+exports.validateLayers = validateLayers;
+
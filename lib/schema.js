@@ -0,0 +1,141 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+/**
+ * Describes what a value sent by a client may be.
+ *
+ * @typedef {Object} Schema
+ * @property {string} type "string", "number", "integer", "boolean",
+ *           "object", "array", "buffer" or "any"
+ * @property {boolean?} required true if it must be set
+ * @property {number?} min smallest allowed number
+ * @property {number?} max largest allowed number
+ * @property {number?} maxLength longest allowed string or array
+ * @property {RegExp?} pattern strings must match this
+ * @property {Array?} values the only allowed values
+ * @property {Object.<string, Schema>?} properties for objects, the schema of
+ *           each property. Other properties are left alone.
+ * @property {Schema?} items for arrays, the schema of each item
+ * @property {function(*): string?} check extra check. Returns why the
+ *           value is bad or undefined if it's good.
+ */
+
+/**
+ * Why a value didn't match its schema
+ * @typedef {Object} Schema~Error
+ * @property {string} field path to the bad value, eg "overlays[2].size"
+ * @property {string} msg what's wrong with it
+ */
+
+var checkType = function(type, value) {
+  switch (type) {
+    case "any":
+      return true;
+    case "number":
+      return typeof value === 'number' && isFinite(value);
+    case "integer":
+      return typeof value === 'number' && isFinite(value) && Math.floor(value) === value;
+    case "object":
+      return value !== null && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value);
+    case "array":
+      return Array.isArray(value);
+    case "buffer":
+      return Buffer.isBuffer(value);
+    default:
+      return typeof value === type;
+  }
+};
+
+var fail = function(field, msg) {
+  return {
+    field: field,
+    msg: field + " " + msg,
+  };
+};
+
+/**
+ * Checks a value against a schema
+ * @param {Schema} schema
+ * @param {*} value
+ * @param {string?} field name of the value for errors. Default "data"
+ * @return {Schema~Error?} undefined if the value is good
+ */
+var validate = function(schema, value, field) {
+  field = field || "data";
+  if (value === undefined || value === null) {
+    return schema.required ? fail(field, "is required") : undefined;
+  }
+  if (!checkType(schema.type, value)) {
+    return fail(field, "must be " + (/^[aeiou]/.test(schema.type) ? "an " : "a ") + schema.type);
+  }
+  if (schema.values && schema.values.indexOf(value) < 0) {
+    return fail(field, "must be one of " + schema.values.join(", "));
+  }
+  if (schema.min !== undefined && value < schema.min) {
+    return fail(field, "must be at least " + schema.min);
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    return fail(field, "must be at most " + schema.max);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return fail(field, "must have at most " + schema.maxLength + (schema.type === "array" ? " items" : " characters"));
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    return fail(field, "is not valid");
+  }
+  var err;
+  if (schema.properties) {
+    var keys = Object.keys(schema.properties);
+    for (var ii = 0; ii < keys.length && !err; ++ii) {
+      var key = keys[ii];
+      err = validate(schema.properties[key], value[key], field === "data" ? key : field + "." + key);
+    }
+  }
+  if (schema.items) {
+    for (var jj = 0; jj < value.length && !err; ++jj) {
+      err = validate(schema.items, value[jj], field + "[" + jj + "]");
+    }
+  }
+  if (!err && schema.check) {
+    var msg = schema.check(value);
+    if (msg) {
+      err = {
+        field: field,
+        msg: msg,
+      };
+    }
+  }
+  return err;
+};
+
+exports.validate = validate;
+
@@ -217,11 +217,16 @@ var createServerWithMocks = function(options, callback) {
       return socketServer.getSocketServer();
     };
 
+    var getEncoders = function() {
+      return socketServer.getEncoders();
+    };
+
     this.getP = getP;
     this.postP = postP;
     this.postJSONP = postJSONP;
     this.request = request;
     this.getSocketServer = getSocketServer;
+    this.getEncoders = getEncoders;
   };
 
   return new MockedServer(callback);
@@ -0,0 +1,141 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+/**
+ * Codecs that can keep transparency, the pixel format to use and
+ * the extensions they can go in.
+ */
+var alphaCodecs = {
+  "prores_ks": {
+    pixFmt: "yuva444p10le",
+    args: ["-profile:v", "4444"],
+    extensions: [".mov"],
+  },
+  "libvpx-vp9": {
+    pixFmt: "yuva420p",
+    args: ["-auto-alt-ref", "0"],
+    extensions: [".webm", ".mkv"],
+  },
+  "libvpx": {
+    pixFmt: "yuva420p",
+    args: ["-auto-alt-ref", "0"],
+    extensions: [".webm", ".mkv"],
+  },
+  "qtrle": {
+    pixFmt: "argb",
+    extensions: [".mov"],
+  },
+  "png": {
+    pixFmt: "rgba",
+    extensions: [".mov", ".mkv"],
+  },
+  "ffv1": {
+    pixFmt: "bgra",
+    extensions: [".mkv", ".avi", ".mov"],
+  },
+  "utvideo": {
+    pixFmt: "gbrap",
+    extensions: [".avi", ".mkv", ".mov"],
+  },
+};
+
+/**
+ * The codec used for each extension if none is given
+ */
+var defaultCodecs = {
+  ".mov": "prores_ks",
+  ".webm": "libvpx-vp9",
+  ".mkv": "ffv1",
+  ".avi": "utvideo",
+};
+
+/**
+ * The extension used if none is given
+ */
+var defaultExtension = ".mov";
+
+/**
+ * Gets the codec to use for an extension
+ * @param {string} extension eg ".mov"
+ * @return {string?} undefined if the extension can't be transparent
+ */
+var getDefaultCodec = function(extension) {
+  return Object.prototype.hasOwnProperty.call(defaultCodecs, extension) ? defaultCodecs[extension] : undefined;
+};
+
+/**
+ * Checks an extension and codec can keep transparency
+ * @param {string} extension eg ".mov"
+ * @param {string?} codec undefined to use the default
+ * @return {{field: string, msg: string}?} what's wrong
+ */
+var check = function(extension, codec) {
+  if (codec === undefined) {
+    if (!getDefaultCodec(extension)) {
+      return {
+        field: "extension",
+        msg: extension + " can't be transparent. use one of " + Object.keys(defaultCodecs).join(", "),
+      };
+    }
+    return;
+  }
+  var alphaCodec = Object.prototype.hasOwnProperty.call(alphaCodecs, codec) ? alphaCodecs[codec] : undefined;
+  if (!alphaCodec) {
+    return {
+      field: "codec",
+      msg: codec + " can't be transparent. use one of " + Object.keys(alphaCodecs).join(", "),
+    };
+  }
+  if (alphaCodec.extensions.indexOf(extension) < 0) {
+    return {
+      field: "extension",
+      msg: codec + " can't be transparent in " + extension + ". use one of " + alphaCodec.extensions.join(", "),
+    };
+  }
+};
+
+/**
+ * Gets the ffmpeg arguments for a codec that keep transparency.
+ * Call `check` first.
+ * @param {string} codec
+ * @return {string[]}
+ */
+var getArguments = function(codec) {
+  var alphaCodec = alphaCodecs[codec];
+  return ["-c:v", codec, "-pix_fmt", alphaCodec.pixFmt].concat(alphaCodec.args || []);
+};
+
+exports.check = check;
+exports.defaultExtension = defaultExtension;
+exports.getArguments = getArguments;
+exports.getDefaultCodec = getDefaultCodec;
+
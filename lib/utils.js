@@ -38,12 +38,37 @@ var tmp     = require('tmp');
 
 tmp.setGracefulCleanup();
 
+/**
+ * Runs a command
+ * @param {string} cmd the command
+ * @param {string[]} args arguments for the command
+ * @param {function(err, result)} callback called once the
+ *        command exits or fails to start.
+ * @return {ChildProcess} the process
+ */
 var execute = function(cmd, args, callback) {
   var spawn = require('child_process').spawn;
 
   var proc = spawn(cmd, args);
   var stdout = [];
   var stderr = [];
+  var finished = false;
+
+  var finish = function(err, result) {
+    if (!finished) {
+      finished = true;
+      callback(err, result);
+    }
+  };
+
+  proc.on('error', function(e) {
+    finish({
+      code: -1,
+      error: e,
+      stdout: "",
+      stderr: e.toString(),
+    });
+  });
 
   proc.stdout.setEncoding('utf8');
   proc.stdout.on('data', function (data) {
@@ -68,12 +93,14 @@ var execute = function(cmd, args, callback) {
       stderr: stderr.join(""),
     };
     if (code !== 0) {
-      callback(result);
+      finish(result);
     } else {
-      callback(null, result)
+      finish(null, result);
     }
   });
-}
+
+  return proc;
+};
 
 var getTempFilename = function(options) {
   options = options || {};
@@ -111,6 +138,24 @@ var deleteNoFail = function(filePath) {
   }
 };
 
+/**
+ * Deletes a file, or a folder and everything in it. Does nothing
+ * if it's not there.
+ * @param {string} filePath
+ */
+var deleteTree = function(filePath) {
+  if (filePath && fs.existsSync(filePath)) {
+    if (fs.lstatSync(filePath).isDirectory()) {
+      fs.readdirSync(filePath).forEach(function(file) {
+        deleteTree(path.join(filePath, file));
+      });
+      fs.rmdirSync(filePath);
+    } else {
+      fs.unlinkSync(filePath);
+    }
+  }
+};
+
 var copyFile = function(src, dst, options) {
   options = options || {};
   var fs = options.fileSystem || require('fs');
@@ -125,9 +170,49 @@ var copyFile = function(src, dst, options) {
   }
 };
 
+/**
+ * Moves a file, copying it if it's on another device.
+ * @param {string} src
+ * @param {string} dst
+ */
+var moveFile = function(src, dst) {
+  try {
+    fs.renameSync(src, dst);
+  } catch (e) {
+    if (e.code !== 'EXDEV') {
+      throw e;
+    }
+    copyFile(src, dst);
+    fs.unlinkSync(src);
+  }
+};
+
+/**
+ * Checks if a buffer has some bytes at an offset.
+ * @param {Buffer} buffer
+ * @param {number[]|Buffer} bytes
+ * @param {number?} offset where in `buffer` to look. Default 0
+ * @return {boolean}
+ */
+var startsWith = function(buffer, bytes, offset) {
+  offset = offset || 0;
+  if (buffer.length < offset + bytes.length) {
+    return false;
+  }
+  for (var ii = 0; ii < bytes.length; ++ii) {
+    if (buffer[offset + ii] !== bytes[ii]) {
+      return false;
+    }
+  }
+  return true;
+};
+
 exports.copyFile = copyFile;
+exports.moveFile = moveFile;
 exports.deleteNoFail = deleteNoFail;
+exports.deleteTree = deleteTree;
 exports.getTempFolder = getTempFolder;
 exports.getTempFilename = getTempFilename;
 exports.execute = execute;
+exports.startsWith = startsWith;
 
@@ -0,0 +1,290 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var crypto = require('crypto');
+var debug  = require('debug')('auth');
+var url    = require('url');
+
+/**
+ * Limits on what one key can do. Unset limits are unlimited.
+ *
+ * @typedef {Object} Auth~Limits
+ * @property {number?} maxJobs videos capturing or encoding at once
+ * @property {number?} maxFrames frames in one video
+ * @property {number?} maxWidth widest frame
+ * @property {number?} maxHeight tallest frame
+ * @property {number?} maxDiskUsage bytes of frames and videos on disk
+ */
+
+/**
+ * The keys file. Usually loaded from JSON.
+ *
+ * @typedef {Object} Auth~Config
+ * @property {Object[]} keys one entry per key. Each has a `name`,
+ *           letters, numbers, _ or - only, a secret `key` and optionally
+ *           `limits` that replace the defaults.
+ * @property {Auth~Limits?} limits defaults for every key
+ */
+
+var limitNames = ['maxJobs', 'maxFrames', 'maxWidth', 'maxHeight', 'maxDiskUsage'];
+
+var sign = function(key, msg) {
+  return crypto.createHmac('sha256', key).update(msg).digest('hex');
+};
+
+// Compares without leaking how much of the strings match
+var safeEqual = function(a, b) {
+  var ha = crypto.createHash('sha256').update(String(a)).digest();
+  var hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+};
+
+/**
+ * Makes a signed token. A token lets a page use a key without
+ * having the key itself, for example your own site can make tokens
+ * for pages it serves.
+ *
+ * @param {string} name the key's name
+ * @param {string} key the key's secret
+ * @param {number} expires when it stops working in seconds since 1970
+ * @return {string} the token
+ */
+var makeToken = function(name, key, expires) {
+  var payload = name + "." + Math.floor(expires);
+  return payload + "." + sign(key, payload);
+};
+
+// File tokens start with this. Only downloads take them.
+var fileTokenPrefix = "file.";
+
+/**
+ * Makes a token that only lets someone download one file.
+ *
+ * @param {string} name the key's name
+ * @param {string} key the key's secret
+ * @param {string} fileId the file it's for
+ * @param {number} expires when it stops working in seconds since 1970
+ * @return {string} the token
+ */
+var makeFileToken = function(name, key, fileId, expires) {
+  var payload = name + "." + Math.floor(expires);
+  return fileTokenPrefix + payload + "." + sign(key, fileTokenPrefix + fileId + "." + payload);
+};
+
+/**
+ * What one key has access to.
+ * @constructor
+ * @param {string} name
+ * @param {Auth~Limits} limits
+ */
+var User = function(name, limits) {
+  var diskUsage = 0;
+
+  this.name = name;
+  this.limits = limits;
+
+  /**
+   * Counts files added or, with a negative size, removed.
+   * @param {number} bytes
+   */
+  this.addDiskUsage = function(bytes) {
+    diskUsage = Math.max(0, diskUsage + bytes);
+  };
+
+  /**
+   * @return {number} bytes on disk since the server started
+   */
+  this.getDiskUsage = function() {
+    return diskUsage;
+  };
+};
+
+/**
+ * Checks API keys and signed tokens.
+ *
+ * @constructor
+ * @param {Auth~Config} config
+ */
+var Auth = function(config) {
+  var defaultLimits = config.limits || {};
+  var users = (config.keys || []).map(function(entry, ndx) {
+    if (!entry || typeof entry.name !== 'string' || !/^[\w-]+$/.test(entry.name)) {
+      throw new Error("keys[" + ndx + "]: name must be letters, numbers, _ or -");
+    }
+    if (typeof entry.key !== 'string' || entry.key.length < 16) {
+      throw new Error("keys[" + ndx + "]: key must be at least 16 characters");
+    }
+    var limits = {};
+    limitNames.forEach(function(limitName) {
+      var value = (entry.limits || {})[limitName];
+      limits[limitName] = value !== undefined ? value : defaultLimits[limitName];
+    });
+    return {
+      key: entry.key,
+      user: new User(entry.name, limits),
+    };
+  });
+  if (!users.length) {
+    throw new Error("no keys");
+  }
+
+  var findByKey = function(key) {
+    // Check them all so the time doesn't say which one matched
+    var found;
+    users.forEach(function(entry) {
+      if (safeEqual(entry.key, key)) {
+        found = entry;
+      }
+    });
+    return found;
+  };
+
+  var findByToken = function(token) {
+    if (token.indexOf(fileTokenPrefix) === 0) {
+      debug("file tokens are only for downloads");
+      return;
+    }
+    var parts = token.split(".");
+    if (parts.length !== 3) {
+      return;
+    }
+    var found = users.filter(function(entry) {
+      return entry.user.name === parts[0];
+    })[0];
+    if (!found) {
+      return;
+    }
+    if (!safeEqual(makeToken(parts[0], found.key, parts[1]), token)) {
+      return;
+    }
+    if (!(parseInt(parts[1]) * 1000 > Date.now())) {
+      debug("token expired for: " + parts[0]);
+      return;
+    }
+    return found;
+  };
+
+  /**
+   * Finds who made a request. The key or token can be in the
+   * query as `key` or `token`, which is the only way for a
+   * WebSocket, or in an `Authorization: Bearer` header.
+   * @param {http.IncomingMessage} req
+   * @return {User?} undefined if there's no good key or token
+   */
+  this.authenticate = function(req) {
+    var query = url.parse(req.url, true).query;
+    var found;
+    if (typeof query.key === 'string') {
+      found = findByKey(query.key);
+    } else if (typeof query.token === 'string') {
+      found = findByToken(query.token);
+    } else {
+      var m = /^Bearer\s+(\S+)$/.exec((req.headers || {}).authorization || "");
+      if (m) {
+        found = m[1].indexOf(".") >= 0 ? findByToken(m[1]) : findByKey(m[1]);
+      }
+    }
+    return found ? found.user : undefined;
+  };
+
+  /**
+   * Checks a token made by `makeFileToken`.
+   * @param {string} token
+   * @param {string} fileId the file being downloaded
+   * @return {User?} who the file is for or undefined if the token
+   *         isn't good for that file.
+   */
+  this.checkFileToken = function(token, fileId) {
+    if (typeof token !== 'string' || token.indexOf(fileTokenPrefix) !== 0) {
+      return;
+    }
+    var parts = token.substr(fileTokenPrefix.length).split(".");
+    if (parts.length !== 3) {
+      return;
+    }
+    var found = users.filter(function(entry) {
+      return entry.user.name === parts[0];
+    })[0];
+    if (!found || !safeEqual(makeFileToken(parts[0], found.key, fileId, parts[1]), token)) {
+      return;
+    }
+    if (!(parseInt(parts[1]) * 1000 > Date.now())) {
+      debug("file token expired for: " + parts[0]);
+      return;
+    }
+    return found.user;
+  };
+
+  /**
+   * @param {string} name
+   * @return {User?} the user with that name
+   */
+  this.getUser = function(name) {
+    var found = users.filter(function(entry) {
+      return entry.user.name === name;
+    })[0];
+    return found ? found.user : undefined;
+  };
+
+  /**
+   * Makes a token for a user.
+   * @param {User} user
+   * @param {number} seconds how long it works for
+   * @return {string}
+   */
+  this.makeToken = function(user, seconds) {
+    var found = users.filter(function(entry) {
+      return entry.user === user;
+    })[0];
+    return makeToken(user.name, found.key, Date.now() / 1000 + seconds);
+  };
+
+  /**
+   * Makes a token that only downloads one of a user's files. It
+   * can't be used for anything else.
+   * @param {User} user
+   * @param {string} fileId
+   * @param {number} seconds how long it works for
+   * @return {string}
+   */
+  this.makeFileToken = function(user, fileId, seconds) {
+    var found = users.filter(function(entry) {
+      return entry.user === user;
+    })[0];
+    return makeFileToken(user.name, found.key, fileId, Date.now() / 1000 + seconds);
+  };
+};
+
+Auth.makeToken = makeToken;
+
+module.exports = Auth;
+
@@ -0,0 +1,229 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var debug = require('debug')('file-registry');
+var fs    = require('fs');
+var path  = require('path');
+var utils = require('../lib/utils');
+
+/**
+ * @typedef {Object} FileRegistry~Entry
+ * @property {string} path the file
+ * @property {number} size in bytes
+ * @property {number} created milliseconds since 1970
+ * @property {string?} user name of the key that made it
+ * @property {string?} name what to call it when it's downloaded
+ */
+
+/**
+ * FileRegistry options
+ * @typedef {Object} FileRegistry~Options
+ * @property {string} dir folder the files are in. The registry is saved there.
+ * @property {number?} ttl milliseconds to keep files. 0 = forever. Default 0
+ * @property {number?} maxTotalSize bytes of files to keep. The oldest are
+ *           deleted when there's more. 0 = no limit. Default 0
+ * @property {boolean?} oneTimeDownloads delete files once they've been downloaded
+ * @property {function(string, FileRegistry~Entry)?} onRemove called with the
+ *           id and entry of each file removed.
+ */
+
+var registryFilename = "ffmpegserver-files.json";
+
+// How often to look for expired files
+var evictInterval = 60 * 1000;
+
+/**
+ * Keeps track of the files that can be downloaded. The list is
+ * saved to a file so links still work after a restart.
+ *
+ * @constructor
+ * @param {FileRegistry~Options} options
+ */
+var FileRegistry = function(options) {
+  var registryPath = path.join(options.dir, registryFilename);
+  var ttl = options.ttl || 0;
+  var maxTotalSize = options.maxTotalSize || 0;
+  var onRemove = options.onRemove || function() {};
+  var files = {};
+
+  var load = function() {
+    if (!fs.existsSync(registryPath)) {
+      return;
+    }
+    try {
+      files = JSON.parse(fs.readFileSync(registryPath, {encoding: 'utf8'})).files || {};
+    } catch (e) {
+      console.error("could not read " + registryPath + ": " + e);
+      files = {};
+    }
+    // Forget files that were deleted while we weren't running
+    Object.keys(files).forEach(function(id) {
+      if (!fs.existsSync(files[id].path)) {
+        debug("missing: " + files[id].path);
+        delete files[id];
+      }
+    });
+  };
+
+  var save = function() {
+    var tmpPath = registryPath + ".tmp";
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify({ files: files }, null, 2));
+      fs.renameSync(tmpPath, registryPath);
+    } catch (e) {
+      console.error("could not save " + registryPath + ": " + e);
+    }
+  };
+
+  var removeEntry = function(id) {
+    var entry = files[id];
+    delete files[id];
+    debug("remove: " + entry.path);
+    try {
+      utils.deleteNoFail(entry.path);
+    } catch (e) {
+      console.error(e);
+    }
+    onRemove(id, entry);
+  };
+
+  var isExpired = function(entry) {
+    return ttl > 0 && Date.now() - entry.created > ttl;
+  };
+
+  /**
+   * Deletes files past their ttl then, oldest first, files over
+   * the total size limit.
+   */
+  var evict = function() {
+    var ids = Object.keys(files);
+    var removed = false;
+    ids.filter(function(id) {
+      return isExpired(files[id]);
+    }).forEach(function(id) {
+      removeEntry(id);
+      removed = true;
+    });
+    if (maxTotalSize > 0) {
+      ids = Object.keys(files).sort(function(a, b) {
+        return files[a].created - files[b].created;
+      });
+      var total = ids.reduce(function(sum, id) {
+        return sum + files[id].size;
+      }, 0);
+      // Never delete the newest file even if it's too big on its own
+      for (var ii = 0; ii < ids.length - 1 && total > maxTotalSize; ++ii) {
+        total -= files[ids[ii]].size;
+        removeEntry(ids[ii]);
+        removed = true;
+      }
+    }
+    if (removed) {
+      save();
+    }
+  };
+
+  load();
+  evict();
+  var timer = setInterval(evict, evictInterval);
+  if (timer.unref) {
+    timer.unref();
+  }
+
+  /**
+   * Adds a file. Ids are never reused, even after a restart, so
+   * a link never leads to a different file.
+   * @param {string} id what it's downloaded as
+   * @param {FileRegistry~Entry} entry `created` is filled in
+   * @return {FileRegistry~Entry}
+   */
+  this.add = function(id, entry) {
+    if (Object.prototype.hasOwnProperty.call(files, id)) {
+      throw new Error("there is already a file called " + id);
+    }
+    files[id] = {
+      path: entry.path,
+      size: entry.size,
+      created: Date.now(),
+      user: entry.user,
+      name: entry.name,
+    };
+    evict();
+    save();
+    return files[id];
+  };
+
+  /**
+   * @param {string} id
+   * @return {FileRegistry~Entry?} the file or undefined if there's
+   *         no such file or it's expired
+   */
+  this.get = function(id) {
+    if (!Object.prototype.hasOwnProperty.call(files, id)) {
+      return undefined;
+    }
+    if (isExpired(files[id])) {
+      removeEntry(id);
+      save();
+      return undefined;
+    }
+    return files[id];
+  };
+
+  /**
+   * Called once a file has been downloaded. In one time
+   * download mode the file is deleted.
+   * @param {string} id
+   */
+  this.downloaded = function(id) {
+    if (options.oneTimeDownloads && files[id]) {
+      removeEntry(id);
+      save();
+    }
+  };
+
+  /**
+   * @return {Object.<string, FileRegistry~Entry>} all the files by id
+   */
+  this.getFiles = function() {
+    return files;
+  };
+
+  this.evict = evict;
+
+  this.close = function() {
+    clearInterval(timer);
+  };
+};
+
+module.exports = FileRegistry;
+
@@ -0,0 +1,263 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var debug = require('debug')('job-dir');
+var fs    = require('fs');
+var path  = require('path');
+var utils = require('../lib/utils');
+
+/**
+ * What's in a job's folder. It's saved there so the job can be
+ * found again if the server stops before cleaning up.
+ * @typedef {Object} JobDir~Manifest
+ * @property {string} name base name of the job's files
+ * @property {string?} user name of the key that started it
+ * @property {number} created milliseconds since 1970
+ * @property {string} state the job's state when it was last saved
+ * @property {Object} settings the start message
+ * @property {string} framePattern the frames' filenames. %d is
+ *           the image number
+ * @property {number} numImages images saved once capture ended
+ * @property {number?} frameCount frames sent once capture ended,
+ *           held ones included
+ * @property {number[]?} imageTimes the time of each image then the
+ *           time the last one ends, if frames had times
+ * @property {Object[]?} audio audio tracks once capture ended, each
+ *           with `file` relative to the folder, `offset` and `volume`
+ * @property {number?} keptUntil set while a failed job's frames are
+ *           kept so it can be encoded again. Milliseconds since 1970
+ * @property {string[]} files other files made in the folder,
+ *           relative to it, in the order they were made
+ */
+
+var manifestFilename = "job.json";
+
+// States of a job that hasn't finished. A folder left in one of
+// these is from a server that stopped without cleaning up.
+var workingStates = ["capturing", "queued", "encoding"];
+
+/**
+ * The folder one job's frames and other files are made in.
+ *
+ * @constructor
+ * @param {string} dir the folder. It must already exist.
+ * @param {JobDir~Manifest} manifest
+ */
+var JobDir = function(dir, manifest) {
+  var manifestPath = path.join(dir, manifestFilename);
+  manifest.files = manifest.files || [];
+
+  var save = function() {
+    var tmpPath = manifestPath + ".tmp";
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2));
+      fs.renameSync(tmpPath, manifestPath);
+    } catch (e) {
+      console.error("could not save " + manifestPath + ": " + e);
+    }
+  };
+
+  /**
+   * @return {string} the folder's name, unique to the job.
+   */
+  this.getId = function() {
+    return path.basename(dir);
+  };
+
+  this.getDir = function() {
+    return dir;
+  };
+
+  /**
+   * @param {string} filename
+   * @return {string} where that file goes in the folder
+   */
+  this.getPath = function(filename) {
+    return path.join(dir, filename);
+  };
+
+  /**
+   * @return {JobDir~Manifest}
+   */
+  this.getManifest = function() {
+    return manifest;
+  };
+
+  /**
+   * @return {boolean} true if the job was still going when the
+   *         manifest was last saved.
+   */
+  this.isUnfinished = function() {
+    return workingStates.indexOf(manifest.state) >= 0;
+  };
+
+  /**
+   * @return {number} how many images are saved, counting up from 0
+   *         until one is missing.
+   */
+  this.countImages = function() {
+    var numImages = 0;
+    while (manifest.framePattern &&
+           fs.existsSync(path.join(dir, manifest.framePattern.replace("%d", numImages)))) {
+      ++numImages;
+    }
+    return numImages;
+  };
+
+  /**
+   * @typedef {Object} JobDir~Status
+   * @property {string} id the folder's name
+   * @property {string} name base name of the job's files
+   * @property {string} state the job's state when it was last saved
+   * @property {number} created milliseconds since 1970
+   * @property {number} numImages images in the folder
+   */
+
+  /**
+   * @return {JobDir~Status}
+   */
+  this.getStatus = function() {
+    return {
+      id: this.getId(),
+      name: manifest.name,
+      state: manifest.state,
+      created: manifest.created,
+      numImages: this.countImages(),
+    };
+  };
+
+  /**
+   * Changes properties of the manifest and saves it.
+   * @param {Object} props
+   */
+  this.update = function(props) {
+    Object.keys(props).forEach(function(key) {
+      manifest[key] = props[key];
+    });
+    save();
+  };
+
+  /**
+   * Records a file made in the folder so it's deleted by `removeFiles`.
+   * @param {string} filename
+   */
+  this.addFile = function(filename) {
+    var relative = path.relative(dir, filename);
+    if (manifest.files.indexOf(relative) < 0) {
+      manifest.files.push(relative);
+      save();
+    }
+  };
+
+  /**
+   * Deletes the files recorded with `addFile`, leaving the frames.
+   * @param {string[]?} keep files not to delete
+   */
+  this.removeFiles = function(keep) {
+    keep = (keep || []).map(function(filename) {
+      return path.relative(dir, filename);
+    });
+    manifest.files = manifest.files.filter(function(file) {
+      if (keep.indexOf(file) >= 0) {
+        return true;
+      }
+      try {
+        utils.deleteTree(path.join(dir, file));
+      } catch (e) {
+        console.error(e);
+      }
+      return false;
+    });
+    save();
+  };
+
+  /**
+   * Deletes the folder and everything in it.
+   */
+  this.remove = function() {
+    debug("remove: " + dir);
+    try {
+      utils.deleteTree(dir);
+    } catch (e) {
+      console.error(e);
+    }
+  };
+};
+
+/**
+ * Makes a folder for a job.
+ * @param {string} dir the folder to make
+ * @param {JobDir~Manifest} manifest `created` and `files` are filled in
+ * @return {JobDir}
+ */
+JobDir.create = function(dir, manifest) {
+  fs.mkdirSync(dir);
+  manifest.created = Date.now();
+  var jobDir = new JobDir(dir, manifest);
+  jobDir.update({});
+  return jobDir;
+};
+
+/**
+ * Finds the job folders in a folder that weren't cleaned up, ones
+ * whose manifest says they were still working, or had frames kept
+ * after failing, or can't be read.
+ * @param {string} parentDir
+ * @return {JobDir[]}
+ */
+JobDir.findLeftovers = function(parentDir) {
+  if (!fs.existsSync(parentDir)) {
+    return [];
+  }
+  return fs.readdirSync(parentDir).map(function(file) {
+    var dir = path.join(parentDir, file);
+    var manifestPath = path.join(dir, manifestFilename);
+    if (!fs.lstatSync(dir).isDirectory() ||
+        !(fs.existsSync(manifestPath) || fs.existsSync(manifestPath + ".tmp"))) {
+      return undefined;
+    }
+    var manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, {encoding: 'utf8'}));
+    } catch (e) {
+      console.error("could not read " + manifestPath + ": " + e);
+      manifest = { name: file, state: "unknown" };
+    }
+    var jobDir = new JobDir(dir, manifest);
+    var left = jobDir.isUnfinished() || manifest.keptUntil !== undefined || manifest.state === "unknown";
+    return left ? jobDir : undefined;
+  }).filter(function(jobDir) {
+    return jobDir !== undefined;
+  });
+};
+
+module.exports = JobDir;
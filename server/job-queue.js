@@ -0,0 +1,144 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var debug   = require('debug')('job-queue');
+var Promise = require('bluebird');
+
+/**
+ * @typedef {Object} JobQueue~Job
+ * @property {function(): Promise} start starts the job. Its slot
+ *           is freed when the promise settles.
+ * @property {function(string, number)?} onStateChange called with
+ *           "queued" and the position in the queue, 1 being next,
+ *           whenever the position changes, then with "running"
+ *           and 0 when the job starts.
+ */
+
+/**
+ * Limits how many jobs run at once. Waiting jobs are started in
+ * the order they were added.
+ *
+ * @constructor
+ * @param {number} maxConcurrent max number of jobs to run at once.
+ */
+var JobQueue = function(maxConcurrent) {
+  var waiting = [];
+  var numRunning = 0;
+
+  var notify = function(job, state, position) {
+    if (job.onStateChange) {
+      job.onStateChange(state, position);
+    }
+  };
+
+  var notifyWaiting = function() {
+    waiting.forEach(function(job, ndx) {
+      notify(job, "queued", ndx + 1);
+    });
+  };
+
+  var run = function(job) {
+    ++numRunning;
+    debug("running: " + numRunning + " waiting: " + waiting.length);
+    notify(job, "running", 0);
+    Promise.try(job.start)
+    .catch(function(e) {
+      console.error(e);
+    })
+    .finally(function() {
+      --numRunning;
+      next();
+    });
+  };
+
+  var next = function() {
+    if (waiting.length && numRunning < maxConcurrent) {
+      run(waiting.shift());
+      notifyWaiting();
+    }
+  };
+
+  /**
+   * Adds a job. It starts now if there's a free slot.
+   * @param {JobQueue~Job} job
+   */
+  this.add = function(job) {
+    if (!this.tryRun(job)) {
+      waiting.push(job);
+      notify(job, "queued", waiting.length);
+    }
+  };
+
+  /**
+   * Starts a job only if there's a free slot.
+   * @param {JobQueue~Job} job
+   * @return {boolean} true if it started.
+   */
+  this.tryRun = function(job) {
+    if (waiting.length || numRunning >= maxConcurrent) {
+      return false;
+    }
+    run(job);
+    return true;
+  };
+
+  /**
+   * Removes a job that's waiting. Running jobs need to be stopped
+   * by whoever started them.
+   * @param {JobQueue~Job} job
+   */
+  this.remove = function(job) {
+    var ndx = waiting.indexOf(job);
+    if (ndx >= 0) {
+      waiting.splice(ndx, 1);
+      notifyWaiting();
+    }
+  };
+
+  /**
+   * @param {JobQueue~Job} job
+   * @return {number} position in the queue, 1 being next, or 0 if it's not waiting.
+   */
+  this.getPosition = function(job) {
+    return waiting.indexOf(job) + 1;
+  };
+
+  this.getNumRunning = function() {
+    return numRunning;
+  };
+
+  this.getNumWaiting = function() {
+    return waiting.length;
+  };
+};
+
+module.exports = JobQueue;
@@ -66,7 +66,7 @@ var LoopbackServerSide = function() {
     if (eventName === 'message') {
       fn = (function(fn) {
         return function(event) {
-          fn(JSON.parse(event.data));
+          fn(event.binary ? event.data : JSON.parse(event.data));
         };
       }(fn));
     }
@@ -135,6 +135,12 @@ var LoopbackClient = function() {
     }
   };
 
+  this.sendBinary = function(data) {
+    if (connected) {
+      server.emitEvent('message', {data: Buffer.from(data), binary: true});
+    }
+  };
+
   this.isConnected = function() {
     return connected;
   };
@@ -0,0 +1,126 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var path = require('path');
+
+// Content types of the extensions videos, their thumbnails and
+// image sequence archives can have
+var contentTypes = {
+  '.avi':  'video/x-msvideo',
+  '.flv':  'video/x-flv',
+  '.gif':  'image/gif',
+  '.jpg':  'image/jpeg',
+  '.m4v':  'video/x-m4v',
+  '.mkv':  'video/x-matroska',
+  '.mov':  'video/quicktime',
+  '.mp4':  'video/mp4',
+  '.ogv':  'video/ogg',
+  '.tar':  'application/x-tar',
+  '.webm': 'video/webm',
+  '.webp': 'image/webp',
+  '.zip':  'application/zip',
+};
+
+/**
+ * @param {string} filename
+ * @return {string} the content type for the file's extension
+ */
+var getContentType = function(filename) {
+  var ext = path.extname(filename).toLowerCase();
+  return Object.prototype.hasOwnProperty.call(contentTypes, ext) ? contentTypes[ext] : 'application/octet-stream';
+};
+
+/**
+ * Makes a Content-Disposition header. Names that aren't plain
+ * ASCII are sent as RFC 5987 `filename*` with an ASCII fallback.
+ * @param {string} type "inline" or "attachment"
+ * @param {string} filename what the browser should call the file
+ * @return {string}
+ */
+var contentDisposition = function(type, filename) {
+  var fallback = filename.replace(/[^\x20-\x7e]|["\\%]/g, '_');
+  var header = type + '; filename="' + fallback + '"';
+  if (fallback !== filename) {
+    header += "; filename*=UTF-8''" + encodeURIComponent(filename).replace(/['()*]/g, function(c) {
+      return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+  }
+  return header;
+};
+
+var escapeHTML = function(str) {
+  return String(str).replace(/[&<>"']/g, function(c) {
+    return '&#' + c.charCodeAt(0) + ';';
+  });
+};
+
+/**
+ * Makes a page that shows a video. Files that aren't videos or
+ * images only get the download link.
+ * @param {string} title
+ * @param {string} mediaUrl url of the video
+ * @param {string} contentType
+ * @return {string} the html
+ */
+var makePreviewPage = function(title, mediaUrl, contentType) {
+  var downloadUrl = mediaUrl + (mediaUrl.indexOf('?') >= 0 ? '&' : '?') + 'download=1';
+  var media = '';
+  if (/^image\//.test(contentType)) {
+    media = '<img src="' + escapeHTML(mediaUrl) + '">';
+  } else if (/^video\//.test(contentType)) {
+    media = '<video controls autoplay loop preload="metadata" src="' + escapeHTML(mediaUrl) + '"></video>';
+  }
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<title>' + escapeHTML(title) + '</title>',
+    '<style>',
+    'body { margin: 0; background: #222; color: #ccc; font-family: sans-serif; text-align: center; }',
+    'video, img { max-width: 100vw; max-height: calc(100vh - 3em); display: block; margin: 0 auto; }',
+    'a { color: #8cf; line-height: 3em; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    media,
+    '<a href="' + escapeHTML(downloadUrl) + '">download ' + escapeHTML(title) + '</a>',
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+};
+
+exports.contentDisposition = contentDisposition;
+exports.getContentType = getContentType;
+exports.makePreviewPage = makePreviewPage;
+
@@ -0,0 +1,264 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var archive      = require('../lib/archive');
+var frameFormats = require('../lib/frame-formats');
+var gif          = require('../lib/gif');
+var overlays     = require('../lib/overlays');
+
+/**
+ * Codecs clients may ask for with `start({codec: ...})`
+ */
+var codecs = [
+  "dnxhd",
+  "ffv1",
+  "flv1",
+  "gif",
+  "h264",
+  "hevc",
+  "huffyuv",
+  "libtheora",
+  "libvpx",
+  "libvpx-vp9",
+  "libx264",
+  "libx264rgb",
+  "libx265",
+  "mjpeg",
+  "mpeg4",
+  "png",
+  "prores",
+  "prores_ks",
+  "qtrle",
+  "utvideo",
+];
+
+/**
+ * Extensions clients may ask for with `start({extension: ...})`
+ */
+var extensions = [
+  ".avi",
+  ".flv",
+  ".gif",
+  ".m4v",
+  ".mkv",
+  ".mov",
+  ".mp4",
+  ".ogv",
+  ".webm",
+];
+
+var maxDataURLLength = 256 * 1024 * 1024;
+
+var maxOutputs = 8;
+
+var ffmpegArgumentsSchema = {
+  type: "array",
+  maxLength: 100,
+  items: { type: "string", maxLength: 1000 },
+};
+
+var gifSchema = {
+  type: "object",
+  properties: {
+    dither: { type: "string", values: gif.dithers },
+    maxColors: { type: "integer", min: 2, max: 256 },
+    loop: { type: "integer", min: -1, max: 65535 },
+    frameSkip: { type: "integer", min: 0, max: 1000 },
+    maxWidth: { type: "integer", min: 16, max: 16384 },
+  },
+};
+
+var presetSchema = { type: "string", pattern: /^[\w-]{1,50}$/ };
+var presetParamsSchema = { type: "object" };
+
+var outputsSchema = {
+  type: "array",
+  maxLength: maxOutputs,
+  items: {
+    type: "object",
+    required: true,
+    properties: {
+      name: { type: "string", pattern: /^[A-Za-z0-9_-]{1,30}$/ },
+      extension: { type: "string", values: extensions },
+      codec: { type: "string", values: codecs },
+      scale: { type: "string", pattern: /^-?\d{1,5}x-?\d{1,5}$/ },
+      bitrate: { type: "string", pattern: /^\d{1,9}(\.\d+)?[kKmM]?$/ },
+      ffmpegArguments: ffmpegArgumentsSchema,
+      preset: presetSchema,
+      presetParams: presetParamsSchema,
+      gif: gifSchema,
+      transparent: { type: "boolean" },
+    },
+  },
+};
+
+var overlaysSchema = {
+  type: "array",
+  check: overlays.validateLayers,
+};
+
+// Timecode format v2. Comments then a time in ms per line.
+var checkTimestamps = function(data) {
+  var lines = data.split(/\r?\n/);
+  for (var ii = 0; ii < lines.length; ++ii) {
+    var line = lines[ii].trim();
+    if (line && line[0] !== '#' && !/^\d+(\.\d+)?$/.test(line)) {
+      return "timestamps line " + (ii + 1) + " is not a time";
+    }
+  }
+};
+
+/**
+ * Schemas for the data of each message a client can send.
+ * Messages not listed aren't checked here.
+ * @type {Object.<string, Schema>}
+ */
+var messageSchemas = {
+  start: {
+    type: "object",
+    properties: {
+      name: { type: "string", maxLength: 200 },
+      framerate: { type: "number", min: 0.1, max: 240 },
+      extension: { type: "string", values: extensions },
+      codec: { type: "string", values: codecs },
+      frameFormat: { type: "string", maxLength: 20 },
+      width: { type: "integer", min: 1, max: 16384 },
+      height: { type: "integer", min: 1, max: 16384 },
+      flipY: { type: "boolean" },
+      binary: { type: "boolean" },
+      stream: { type: "boolean" },
+      dedupe: { type: "boolean" },
+      output: { type: "string", values: ["video", "sequence"] },
+      sequenceFormat: { type: "string", values: Object.keys(frameFormats.sequenceFormats) },
+      archive: { type: "string", values: archive.formats },
+      silentAudio: { type: "boolean" },
+      ffmpegArguments: ffmpegArgumentsSchema,
+      outputs: outputsSchema,
+      preset: presetSchema,
+      presetParams: presetParamsSchema,
+      gif: gifSchema,
+      transparent: { type: "boolean" },
+      overlays: overlaysSchema,
+    },
+  },
+  frame: {
+    type: "object",
+    required: true,
+    properties: {
+      dataURL: { type: "string", maxLength: maxDataURLLength },
+      buffer: { type: "buffer" },
+      time: { type: "number", min: 0 },
+    },
+  },
+  repeat: {
+    type: "object",
+    required: true,
+    properties: {
+      count: { type: "integer", required: true, min: 1, max: 100000 },
+    },
+  },
+  meta: {
+    type: "object",
+    properties: {
+      textOverlay: { type: "string", maxLength: 1000 },
+      videoLength: { type: "number", min: 0 },
+      renderWidth: { type: "integer", min: 1, max: 16384 },
+      overlays: overlaysSchema,
+    },
+  },
+  timestamps: {
+    type: "string",
+    required: true,
+    maxLength: 16 * 1024 * 1024,
+    check: checkTimestamps,
+  },
+  audiofile: {
+    type: "string",
+    required: true,
+    maxLength: maxDataURLLength,
+    pattern: /^[A-Za-z0-9+\/=\r\n]*$/,
+  },
+  audio: {
+    type: "object",
+    required: true,
+    properties: {
+      id: { type: "integer", required: true, min: 0 },
+      mimeType: { type: "string", maxLength: 100 },
+      pcm: {
+        type: "object",
+        properties: {
+          sampleRate: { type: "number", required: true, min: 8000, max: 192000 },
+          channels: { type: "integer", required: true, min: 1, max: 8 },
+        },
+      },
+      offset: { type: "number" },
+      volume: { type: "number", min: 0 },
+    },
+  },
+  audiochunk: {
+    type: "object",
+    required: true,
+    properties: {
+      id: { type: "integer", required: true, min: 0 },
+      data: { type: "string", maxLength: maxDataURLLength, pattern: /^[A-Za-z0-9+\/=\r\n]*$/ },
+      buffer: { type: "buffer" },
+      time: { type: "number" },
+    },
+  },
+  reencode: {
+    type: "object",
+    properties: {
+      framerate: { type: "number", min: 0.1, max: 240 },
+      extension: { type: "string", values: extensions },
+      codec: { type: "string", values: codecs },
+      ffmpegArguments: ffmpegArgumentsSchema,
+      outputs: outputsSchema,
+      preset: presetSchema,
+      presetParams: presetParamsSchema,
+      gif: gifSchema,
+      transparent: { type: "boolean" },
+      archive: { type: "string", values: archive.formats },
+    },
+  },
+  resume: {
+    type: "object",
+    required: true,
+    properties: {
+      session: { type: "string", required: true, pattern: /^[0-9a-f]{32}$/ },
+    },
+  },
+};
+
+exports.codecs = codecs;
+exports.extensions = extensions;
+exports.messageSchemas = messageSchemas;
+
@@ -0,0 +1,540 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var debug        = require('debug')('pipeline');
+var FFMpegRunner = require('../lib/ffmpeg-runner');
+var fs           = require('fs');
+var overlays     = require('../lib/overlays');
+var path         = require('path');
+var Promise      = require('bluebird');
+var utils        = require('../lib/utils');
+
+var rootDir = path.join(__dirname, '..');
+
+/**
+ * @typedef {Object} Pipeline~AudioTrack
+ * @property {string} file the audio file
+ * @property {number} offset seconds into the video the audio starts.
+ *           Negative cuts off the start of the audio.
+ * @property {number} volume 1 = as is
+ */
+
+/**
+ * What the stages of a pipeline work on. VideoEncoder makes
+ * one for each video.
+ *
+ * @typedef {Object} Pipeline~Job
+ * @property {string} name base name for files.
+ * @property {string} extension extension of the video, eg ".mp4". A GIF
+ *           is ".mkv". It's lossless until it's made into a GIF after
+ *           the last stage.
+ * @property {string[]} videoArguments ffmpeg arguments that encode the
+ *           video: codec, pixel format, bitrate, preset and the client's
+ *           own. Stages that encode the video again use them so it
+ *           stays the way the client asked, eg transparent.
+ * @property {number} rendition which of the client's `outputs` this is.
+ *           0 is the main video
+ * @property {string} workDir the job's folder. Intermediate files go here
+ * @property {number} numFrames number of frames captured
+ * @property {Pipeline~AudioTrack[]} audioTracks audio the client sent
+ * @property {boolean?} silentAudio true to add a silent track if there is no audio
+ * @property {Object} meta whatever the client sent with `meta`
+ * @property {Overlay~Layer[]?} overlays layers to draw over the video
+ * @property {function(function(number)): Promise<string>} encode encodes
+ *           the frames, reporting progress. Resolves to the encoded filename
+ * @property {function(number)} progress reports progress from 0 to 1
+ * @property {function(ChildProcess|FFMpegRunner)} setProcess called with
+ *           each process the pipeline starts so it can be killed.
+ * @property {function(): boolean} isCancelled true if the pipeline should stop
+ * @property {function(string, string)} addFile called by stages with other
+ *           files to keep, like thumbnails. The first argument is what the
+ *           file is called in the `end` message, the second is the file.
+ */
+
+/**
+ * Passed to each stage.
+ *
+ * @typedef {Object} Pipeline~Context
+ * @property {Pipeline~Job} job
+ * @property {Object} options the stage's entry from the pipeline config
+ * @property {string} input the file made by the previous stage
+ * @property {function(string?): string} getOutputFilename gets a filename
+ *           for this stage's output. Pass an extension if it's not the
+ *           same as the job's
+ * @property {function(string[]): Promise} runFFMpeg runs ffmpeg, reporting
+ *           progress
+ * @property {function(number)} progress reports this stage's progress from 0 to 1
+ * @property {function(ChildProcess)} setProcess stages that start processes
+ *           themselves must pass them here so they can be killed
+ */
+
+/**
+ * A stage takes the file from the previous stage and resolves
+ * to the file it made. Resolving to undefined means the stage
+ * had nothing to do and the input is passed on as is.
+ *
+ * @callback Pipeline~Stage
+ * @param {Pipeline~Context} ctx
+ * @return {Promise<string?>}
+ */
+
+var skip = function(reason) {
+  debug("skipping: " + reason);
+  return Promise.resolve();
+};
+
+/**
+ * Encodes the frames. Always the first stage.
+ * @type {Pipeline~Stage}
+ */
+var encodeStage = function(ctx) {
+  return ctx.job.encode(ctx.progress);
+};
+
+// Containers that can't hold audio.
+var noAudioExtensions = {
+  '.gif': true,
+};
+
+// Makes the filters for one audio track. Every track is made
+// stereo at the same rate so they can be mixed.
+var audioTrackFilter = function(track, inputNdx, label) {
+  var filters = ['aresample=48000', 'aformat=channel_layouts=stereo'];
+  var offset = track.offset || 0;
+  if (offset > 0) {
+    var ms = Math.round(offset * 1000);
+    filters.push('adelay=' + ms + '|' + ms);
+  } else if (offset < 0) {
+    filters.push('atrim=start=' + (-offset), 'asetpts=PTS-STARTPTS');
+  }
+  if (track.volume !== undefined && track.volume !== 1) {
+    filters.push('volume=' + track.volume);
+  }
+  return '[' + inputNdx + ':a]' + filters.join(',') + '[' + label + ']';
+};
+
+/**
+ * Adds the audio tracks the client sent. Several tracks are mixed
+ * together. The audio is padded or cut to the length of the video.
+ * With no tracks and `job.silentAudio` set a silent track is added.
+ * @type {Pipeline~Stage}
+ */
+var muxAudioStage = function(ctx) {
+  var job = ctx.job;
+  if (noAudioExtensions[job.extension]) {
+    return skip(job.extension + " can't have audio");
+  }
+  var tracks = (job.audioTracks || []).filter(function(track) {
+    return fs.existsSync(track.file);
+  });
+  if (!tracks.length && !job.silentAudio) {
+    return skip("no audio");
+  }
+  var output = ctx.getOutputFilename();
+  var args = [
+    '-y',
+    '-i', ctx.input,
+  ];
+  if (tracks.length) {
+    var filters = [];
+    var labels = [];
+    tracks.forEach(function(track, ndx) {
+      args.push('-i', track.file);
+      labels.push('[a' + ndx + ']');
+      filters.push(audioTrackFilter(track, ndx + 1, 'a' + ndx));
+    });
+    if (tracks.length > 1) {
+      // amix divides each input by the number of inputs so turn it back up
+      filters.push(labels.join('') + 'amix=inputs=' + tracks.length + ':duration=longest:dropout_transition=0,volume=' + tracks.length + ',apad[aout]');
+    } else {
+      filters.push(labels[0] + 'apad[aout]');
+    }
+    args.push(
+      '-filter_complex', filters.join(';'),
+      '-map', '0:v',
+      '-map', '[aout]'
+    );
+  } else {
+    args.push(
+      '-f', 'lavfi',
+      '-i', 'anullsrc=channel_layout=stereo:sample_rate=48000',
+      '-map', '0:v',
+      '-map', '1:a'
+    );
+  }
+  args.push(
+    '-c:v', 'copy',
+    '-shortest',
+    output
+  );
+  return ctx.runFFMpeg(args).then(function() {
+    return output;
+  });
+};
+
+// The `meta` message's `textOverlay`, and the tagline from the
+// config, as layers. This is what the overlay stage did before
+// clients could send their own layers.
+var textOverlayLayers = function(options, meta, outputLength) {
+  var text = meta.textOverlay || '';
+  if (options.uppercase) {
+    text = text.toUpperCase();
+  }
+  var taglineStart = (options.taglineStart || {})[meta.videoLength];
+  var tagline = taglineStart !== undefined ? options.tagline : undefined;
+  var base = {
+    type: "text",
+    fontFile: path.resolve(rootDir, options.font || 'font/SourceCodePro-Semibold.ttf'),
+    color: options.color || 'ffffff',
+    size: outputLength / 36,
+    margin: outputLength / 135,
+    anchor: "bottom",
+  };
+  var layers = [];
+  if (text) {
+    layers.push(Object.assign({}, base, {
+      text: text,
+      end: tagline ? taglineStart : undefined,
+      fadeOut: tagline ? 0.25 : 0,
+    }));
+  }
+  if (tagline) {
+    layers.push(Object.assign({}, base, {
+      text: tagline,
+      start: taglineStart,
+      fadeIn: 0.25,
+    }));
+  }
+  return layers;
+};
+
+/**
+ * Draws the overlay layers the client sent with `start` or `meta`.
+ * See {@link Overlay~Layer}.
+ *
+ * If there are none but `meta` has a `renderWidth` the video is
+ * padded to a square that size and `meta.textOverlay` is drawn at
+ * the bottom. If the config has a `tagline` it replaces the text
+ * near the end of the video.
+ *
+ * Options
+ *
+ * *   `font`: font file for `textOverlay`, relative to the ffmpegserver folder
+ * *   `color`: text color, eg "efebff"
+ * *   `uppercase`: true to upper case `meta.textOverlay`
+ * *   `tagline`: text to show near the end
+ * *   `taglineStart`: map of `meta.videoLength` to when the tagline
+ *     starts in seconds. Without an entry there's no tagline.
+ *
+ * @type {Pipeline~Stage}
+ */
+var overlayStage = function(ctx) {
+  var job = ctx.job;
+  var meta = job.meta || {};
+  var layers = job.overlays || [];
+  var filters = [];
+  if (!layers.length) {
+    var outputLength = meta.renderWidth;
+    if (!outputLength) {
+      return skip("no overlays");
+    }
+    layers = textOverlayLayers(ctx.options, meta, outputLength);
+    if (!layers.length) {
+      return skip("no text");
+    }
+    filters.push('pad=width=' + outputLength + ':height=' + outputLength + ':x=0:y=0:color=black');
+  }
+
+  var output = ctx.getOutputFilename();
+  var graphFile = ctx.getOutputFilename('.filter');
+  var files = [graphFile];
+  var args = [
+    '-y',
+    '-i', ctx.input,
+  ];
+  layers.forEach(function(layer, ndx) {
+    if (layer.type === "image") {
+      var image = overlays.decodeImage(layer);
+      var file = ctx.getOutputFilename('-' + ndx + image.format.extension);
+      fs.writeFileSync(file, image.buffer);
+      files.push(file);
+      args.push('-loop', '1', '-i', file);
+    }
+  });
+  // Lots of layers make a long graph so it goes in a file
+  fs.writeFileSync(graphFile, overlays.buildGraph(layers, filters));
+  args.push(
+    '-filter_complex_script', graphFile,
+    '-map', '[vout]',
+    '-map', '0:a?',
+    '-codec:a', 'copy'
+  );
+  args = args.concat(job.videoArguments || [], [output]);
+  return ctx.runFFMpeg(args).then(function() {
+    return output;
+  }).finally(function() {
+    files.forEach(utils.deleteNoFail);
+  });
+};
+
+/**
+ * Makes pictures of the video, a poster JPEG, an animation of the
+ * start of the video and a contact sheet of evenly spaced frames.
+ * The video is passed on as is.
+ *
+ * Options
+ *
+ * *   `width`: width of the animation and each contact sheet tile. Default 320
+ * *   `poster`: false for no poster
+ * *   `animation`: "gif", "webp" or false for no animation. Default "gif"
+ * *   `animationLength`: seconds of video in the animation. Default 3
+ * *   `contactSheet`: columns x rows, eg "4x4", or false for no contact sheet
+ *
+ * Only the main video gets pictures, not other renditions.
+ *
+ * @type {Pipeline~Stage}
+ */
+var thumbnailsStage = function(ctx) {
+  var job = ctx.job;
+  if (job.rendition) {
+    return skip("thumbnails are only made for the main video");
+  }
+  var options = ctx.options;
+  var width = options.width || 320;
+  var scale = 'scale=' + overlays.escape('w=min(' + width + ',iw)') + ':h=-2';
+  var steps = [];
+
+  if (options.poster !== false) {
+    steps.push(function() {
+      var poster = ctx.getOutputFilename('-poster.jpg');
+      return ctx.runFFMpeg([
+        '-y',
+        '-i', ctx.input,
+        '-frames:v', '1',
+        '-q:v', '3',
+        poster,
+      ]).then(function() {
+        job.addFile('poster', poster);
+      });
+    });
+  }
+
+  var animationFormat = options.animation === undefined ? 'gif' : options.animation;
+  if (animationFormat) {
+    if (animationFormat !== 'gif' && animationFormat !== 'webp') {
+      throw new Error("animation must be gif or webp, not " + animationFormat);
+    }
+    steps.push(function() {
+      var animation = ctx.getOutputFilename('-animation.' + animationFormat);
+      var args = [
+        '-y',
+        '-t', String(options.animationLength || 3),
+        '-i', ctx.input,
+      ];
+      if (animationFormat === 'gif') {
+        // A palette made for the video looks much better than the default one
+        args.push('-filter_complex', 'fps=10,' + scale + ',split[a][b];[a]palettegen[p];[b][p]paletteuse');
+      } else {
+        args.push('-vf', 'fps=10,' + scale, '-c:v', 'libwebp', '-q:v', '70');
+      }
+      args.push('-loop', '0', animation);
+      return ctx.runFFMpeg(args).then(function() {
+        job.addFile('animation', animation);
+      });
+    });
+  }
+
+  var grid = /^(\d+)x(\d+)$/.exec(options.contactSheet === undefined ? '4x4' : options.contactSheet || '');
+  if (grid) {
+    steps.push(function() {
+      var contactSheet = ctx.getOutputFilename('-contact-sheet.jpg');
+      var step = Math.max(1, Math.floor(job.numFrames / (grid[1] * grid[2])));
+      return ctx.runFFMpeg([
+        '-y',
+        '-i', ctx.input,
+        '-vf', 'select=' + overlays.escape('not(mod(n,' + step + '))') + ',' + scale + ',tile=' + grid[0],
+        '-frames:v', '1',
+        '-vsync', 'vfr',
+        '-q:v', '3',
+        contactSheet,
+      ]).then(function() {
+        job.addFile('contactSheet', contactSheet);
+      });
+    });
+  }
+
+  return Promise.each(steps, function(step) {
+    return step();
+  }).then(function() {
+    return undefined;
+  });
+};
+
+// Stages that were taken out and why. Pipeline files that still
+// list one get a warning instead of failing to load.
+var removedStages = {
+  retime: "frame times are applied by encode",
+};
+
+var builtinStages = {
+  encode: encodeStage,
+  muxAudio: muxAudioStage,
+  overlay: overlayStage,
+  thumbnails: thumbnailsStage,
+};
+
+/**
+ * Pipeline config. Usually loaded from a JSON file.
+ *
+ * @typedef {Object} Pipeline~Config
+ * @property {Object[]} stages the stages in order. Each one is an
+ *           object with `stage` set to the name of a built in stage
+ *           or `module` set to the path of a module that exports a
+ *           {@link Pipeline~Stage}. Other properties are options for
+ *           the stage.
+ * @property {string?} baseDir folder `module` paths are relative to.
+ */
+
+/**
+ * Runs the steps that turn captured frames into the finished
+ * video. The first stage is always `encode`.
+ *
+ * @constructor
+ * @param {Pipeline~Config} config
+ */
+var Pipeline = function(config) {
+  var baseDir = config.baseDir || process.cwd();
+  var stages = (config.stages || []).map(function(stageConfig) {
+    if (typeof stageConfig === 'string') {
+      stageConfig = { stage: stageConfig };
+    }
+    var fn;
+    var stageName = stageConfig.stage;
+    if (!stageConfig.module && removedStages.hasOwnProperty(stageName)) {
+      console.warn("pipeline stage " + stageName + " is deprecated and skipped: " + removedStages[stageName]);
+      return undefined;
+    }
+    if (stageConfig.module) {
+      fn = require(path.resolve(baseDir, stageConfig.module));
+      stageName = stageName || path.basename(stageConfig.module, path.extname(stageConfig.module));
+    } else {
+      fn = builtinStages[stageName];
+    }
+    if (typeof fn !== 'function') {
+      throw new Error("unknown pipeline stage: " + JSON.stringify(stageConfig));
+    }
+    return {
+      name: stageName,
+      fn: fn,
+      options: stageConfig,
+    };
+  }).filter(Boolean);
+
+  if (!stages.length || stages[0].fn !== encodeStage) {
+    stages.unshift({
+      name: "encode",
+      fn: encodeStage,
+      options: {},
+    });
+  }
+
+  /**
+   * Runs each stage in turn.
+   * @param {Pipeline~Job} job
+   * @param {function(string)} addIntermediate called with each
+   *        file a stage makes so it can be cleaned up.
+   * @return {Promise<string>} the final file.
+   */
+  this.run = function(job, addIntermediate) {
+    var input;
+    return Promise.each(stages, function(stage, ndx) {
+      if (job.isCancelled()) {
+        throw new Error("cancelled");
+      }
+      debug(job.name + ": " + stage.name);
+      var progress = function(p) {
+        job.progress((ndx + p) / stages.length);
+      };
+      var ctx = {
+        job: job,
+        options: stage.options,
+        input: input,
+        getOutputFilename: function(extension) {
+          return path.join(job.workDir, stage.name + '-' + job.name + (extension || job.extension));
+        },
+        runFFMpeg: function(args) {
+          return runFFMpeg(args, job.setProcess, function(frameNum) {
+            progress(Math.min(1, frameNum / job.numFrames));
+          });
+        },
+        progress: progress,
+        setProcess: job.setProcess,
+      };
+      return Promise.resolve(stage.fn(ctx)).then(function(output) {
+        if (output) {
+          addIntermediate(output);
+          input = output;
+        }
+        progress(1);
+      });
+    }).then(function() {
+      return input;
+    });
+  };
+
+  this.getStageNames = function() {
+    return stages.map(function(stage) {
+      return stage.name;
+    });
+  };
+};
+
+/**
+ * Runs ffmpeg
+ * @param {string[]} args
+ * @param {function(FFMpegRunner)} setProcess called with the runner.
+ * @param {function(number)} onFrame called with the frame
+ *        number as ffmpeg reports progress.
+ * @return {Promise} rejects with ffmpeg's result on error.
+ */
+var runFFMpeg = function(args, setProcess, onFrame) {
+  console.log('ffmpeg ' + args.join(' '));
+  return new Promise(function(resolve, reject) {
+    var runner = new FFMpegRunner(args);
+    setProcess(runner);
+    runner.on('error', reject);
+    runner.on('frame', onFrame);
+    runner.on('done', resolve);
+  });
+};
+
+module.exports = Pipeline;
@@ -0,0 +1,234 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var schema = require('../lib/schema');
+
+/**
+ * A setting a client can pass to a preset. It's a {@link Schema}
+ * plus a default and a description.
+ *
+ * @typedef {Object} Presets~Param
+ * @property {string} type "integer", "number" or "string". Strings
+ *           must have `values`
+ * @property {number?} min
+ * @property {number?} max
+ * @property {string[]?} values
+ * @property {(number|string)?} default used if the client doesn't
+ *           pass it. Params used in `arguments` must have one.
+ * @property {string?} description
+ */
+
+/**
+ * A named set of ffmpeg settings. `{name}` in `filters` and
+ * `arguments` is replaced with the param called name. A filter
+ * using a param with no value is left out.
+ *
+ * @typedef {Object} Presets~Preset
+ * @property {string?} description
+ * @property {string?} extension eg ".mp4"
+ * @property {string?} codec
+ * @property {string[]?} filters video filters
+ * @property {string[]?} arguments ffmpeg output arguments
+ * @property {Object.<string, Presets~Param>?} params
+ */
+
+/**
+ * What an output gets from a preset
+ *
+ * @typedef {Object} Presets~OutputSettings
+ * @property {string?} extension
+ * @property {string?} codec
+ * @property {string[]} filters
+ * @property {string[]} arguments
+ */
+
+var paramTypes = ["integer", "number", "string"];
+var placeholderRE = /\{(\w+)\}/g;
+
+var getPlaceholders = function(str) {
+  var names = [];
+  str.replace(placeholderRE, function(match, name) {
+    names.push(name);
+  });
+  return names;
+};
+
+// Checks a preset from the config. Returns what's wrong with it
+var checkPreset = function(preset) {
+  var params = preset.params || {};
+  var names = Object.keys(params);
+  for (var ii = 0; ii < names.length; ++ii) {
+    var param = params[names[ii]];
+    if (paramTypes.indexOf(param.type) < 0 || (param.type === "string" && !Array.isArray(param.values))) {
+      return "param " + names[ii] + " must be an integer, number or string with values";
+    }
+    if (param.default !== undefined) {
+      var err = schema.validate(param, param.default, names[ii]);
+      if (err) {
+        return "default of " + err.field + " " + err.msg;
+      }
+    }
+  }
+  var inFilters = [];
+  var inArguments = [];
+  (preset.filters || []).forEach(function(filter) {
+    inFilters = inFilters.concat(getPlaceholders(filter));
+  });
+  (preset.arguments || []).forEach(function(arg) {
+    inArguments = inArguments.concat(getPlaceholders(arg));
+  });
+  var used = inFilters.concat(inArguments);
+  for (var jj = 0; jj < used.length; ++jj) {
+    if (!params[used[jj]]) {
+      return "unknown param " + used[jj];
+    }
+  }
+  for (var kk = 0; kk < inArguments.length; ++kk) {
+    if (params[inArguments[kk]].default === undefined) {
+      return "param " + inArguments[kk] + " is used in arguments so needs a default";
+    }
+  }
+};
+
+/**
+ * The encoding presets clients can pick by name with
+ * `start({preset: ...})` so they don't need to know ffmpeg.
+ *
+ * @constructor
+ * @param {Object.<string, Presets~Preset>} config usually
+ *        default-presets.json
+ */
+var Presets = function(config) {
+  var presets = {};
+  Object.keys(config).forEach(function(name) {
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error("preset " + name + ": name must be letters, numbers, _ or -");
+    }
+    var err = checkPreset(config[name]);
+    if (err) {
+      throw new Error("preset " + name + ": " + err);
+    }
+    presets[name] = config[name];
+  });
+
+  var getPreset = function(name) {
+    return Object.prototype.hasOwnProperty.call(presets, name) ? presets[name] : undefined;
+  };
+
+  /**
+   * Checks a client's choice of preset and params.
+   * @param {string} name the preset
+   * @param {Object?} params values for the preset's params
+   * @param {string?} field where the preset is in the message,
+   *        eg "outputs[1]". Used in errors
+   * @return {{field: string, msg: string}?} what's wrong
+   */
+  this.check = function(name, params, field) {
+    var prefix = field ? field + "." : "";
+    var preset = getPreset(name);
+    if (!preset) {
+      return { field: prefix + "preset", msg: "no preset named " + name };
+    }
+    params = params || {};
+    var paramSchemas = preset.params || {};
+    var names = Object.keys(params);
+    for (var ii = 0; ii < names.length; ++ii) {
+      var paramSchema = paramSchemas[names[ii]];
+      var paramField = prefix + "presetParams." + names[ii];
+      if (!Object.prototype.hasOwnProperty.call(paramSchemas, names[ii])) {
+        return { field: paramField, msg: "is not a param of " + name };
+      }
+      var err = schema.validate(paramSchema, params[names[ii]], paramField);
+      if (err) {
+        return err;
+      }
+    }
+  };
+
+  /**
+   * Gets the settings for an output. Call `check` first.
+   * @param {string} name the preset
+   * @param {Object?} params values for the preset's params
+   * @return {Presets~OutputSettings}
+   */
+  this.getOutputSettings = function(name, params) {
+    var preset = getPreset(name);
+    var paramSchemas = preset.params || {};
+    var values = {};
+    Object.keys(paramSchemas).forEach(function(paramName) {
+      values[paramName] = paramSchemas[paramName].default;
+    });
+    Object.keys(params || {}).forEach(function(paramName) {
+      values[paramName] = params[paramName];
+    });
+
+    // Returns undefined if a param has no value
+    var fill = function(str) {
+      var missing = false;
+      var filled = str.replace(placeholderRE, function(match, paramName) {
+        missing = missing || values[paramName] === undefined;
+        return String(values[paramName]);
+      });
+      return missing ? undefined : filled;
+    };
+
+    return {
+      extension: preset.extension,
+      codec: preset.codec,
+      filters: (preset.filters || []).map(fill).filter(function(filter) {
+        return filter !== undefined;
+      }),
+      arguments: (preset.arguments || []).map(fill),
+    };
+  };
+
+  /**
+   * Lists the presets for `/api/v1/presets`
+   * @return {Object[]} each has `name` plus the preset's
+   *     `description`, `extension`, `codec` and `params`.
+   */
+  this.list = function() {
+    return Object.keys(presets).map(function(name) {
+      var preset = presets[name];
+      return {
+        name: name,
+        description: preset.description,
+        extension: preset.extension,
+        codec: preset.codec,
+        params: preset.params || {},
+      };
+    });
+  };
+};
+
+module.exports = Presets;
+
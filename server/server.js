@@ -31,6 +31,7 @@
 
 'use strict';
 
+var fs   = require('fs');
 var path = require('path');
 
 var optionSpec = {
@@ -41,7 +42,17 @@ var optionSpec = {
     { option: 'video-dir',        type: 'String',   description: 'folder to save video files to', default: 'output'},
     { option: 'frame-dir',        type: 'String',   description: 'folder to save frames to', default: 'output'},
     { option: 'keep-frames',      type: 'Boolean',  description: 'do not delete the frames after encoding'},
+    { option: 'keep-crashed-jobs', type: 'Boolean', description: 'keep the files of jobs that were unfinished when the server stopped instead of deleting them at start'},
     { option: 'allow-arbitrary-ffmpeg-arguments',      type: 'Boolean',  description: 'allow arbitrary ffmpeg arguments passed from browser', default: "false"},
+    { option: 'max-concurrent-encodes', type: 'Int', description: 'number of videos to encode at once. others wait in a queue', default: '2'},
+    { option: 'session-grace-period', type: 'Int',  description: 'seconds to wait for a browser that lost its connection to resume', default: '300'},
+    { option: 'failed-job-grace-period', type: 'Int', description: 'seconds to keep the frames of a video that failed to encode so it can be encoded again. 0 = delete them', default: '600'},
+    { option: 'pipeline',         type: 'String',   description: 'JSON or JS file describing the stages run after capture. see server/default-pipeline.json'},
+    { option: 'presets',          type: 'String',   description: 'JSON file of encoding presets clients can pick by name. see server/default-presets.json'},
+    { option: 'file-ttl',         type: 'Int',      description: 'seconds to keep videos for. 0 = forever', default: '0'},
+    { option: 'max-video-dir-size', type: 'Int',    description: 'megabytes of videos to keep. the oldest are deleted first. 0 = no limit', default: '0'},
+    { option: 'one-time-downloads', type: 'Boolean', description: 'delete videos once they have been downloaded'},
+    { option: 'keys-file',        type: 'String',   description: 'JSON file of API keys and their limits. if set only clients with a key or token can use the server'},
   ],
   helpStyle: {
     typeSeparator: '=',
@@ -72,6 +83,21 @@ function startServer() {
   var VideoServer = require('./video-server');
   args.videoDir = path.join(process.cwd(), args.videoDir);
   args.frameDir = path.join(process.cwd(), args.frameDir);
+  args.sessionGracePeriod = args.sessionGracePeriod * 1000;
+  args.failedJobGracePeriod = args.failedJobGracePeriod * 1000;
+  args.fileTtl = args.fileTtl * 1000;
+  args.maxVideoDirSize = args.maxVideoDirSize * 1024 * 1024;
+  if (args.pipeline) {
+    var pipelineFile = path.resolve(args.pipeline);
+    args.pipeline = require(pipelineFile);
+    args.pipeline.baseDir = args.pipeline.baseDir || path.dirname(pipelineFile);
+  }
+  if (args.presets) {
+    args.presets = JSON.parse(fs.readFileSync(path.resolve(args.presets), {encoding: 'utf8'}));
+  }
+  if (args.keysFile) {
+    args.keys = JSON.parse(fs.readFileSync(path.resolve(args.keysFile), {encoding: 'utf8'}));
+  }
   var server = new VideoServer(args);
 }
 
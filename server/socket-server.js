@@ -34,7 +34,11 @@
 var debug        = require('debug')('socketserver');
 var events       = require('events');
 var fs           = require('fs');
+var JobDir       = require('./job-dir');
+var JobQueue     = require('./job-queue');
 var path         = require('path');
+var Pipeline     = require('./pipeline');
+var Presets      = require('./presets');
 var VideoEncoder = require('./video-encoder');
 var WSServer     = require('./websocketserver');
 
@@ -42,6 +46,24 @@ var WSServer     = require('./websocketserver');
  * SocketServer options
  * @typedef {Object} SocketServer~Options
  * @property {WebSocketServer?} WebSocketServer constructor for WebSocketServer (for testing)
+ * @property {Pipeline~Config?} pipeline stages to run after capture.
+ *           Defaults to default-pipeline.json
+ * @property {Object.<string, Presets~Preset>?} presets encoding settings
+ *           clients can pick by name. Defaults to default-presets.json
+ * @property {number?} maxConcurrentEncodes how many videos to encode at
+ *           once. Others wait in a queue. Default 2
+ * @property {number?} sessionGracePeriod milliseconds a browser that
+ *           lost its connection has to resume before its video is
+ *           thrown away. Default 5 minutes
+ * @property {number?} failedJobGracePeriod milliseconds the frames of
+ *           a video that failed to encode are kept so it can be
+ *           encoded again. 0 = not kept. Default 10 minutes
+ * @property {Auth?} auth if set only clients with a good key or
+ *           token can connect and each one's limits apply.
+ * @property {string?} frameDir folder each job makes its own folder in
+ * @property {boolean?} keepCrashedJobs keep the folders of jobs that
+ *           were unfinished when the server last stopped instead of
+ *           deleting them.
  */
 
 /**
@@ -53,19 +75,112 @@ var SocketServer = function(server, options) {
   var eventEmitter = new events.EventEmitter();
   var nextSessionId = 0;
   var videoServer;
+  var pipeline = new Pipeline(options.pipeline || require('./default-pipeline.json'));
+  var presets = new Presets(options.presets || require('./default-presets.json'));
+  var jobQueue = new JobQueue(options.maxConcurrentEncodes || 2);
+
+  // Folders of jobs that were going when the server last stopped.
+  // Frames of a failed job are kept until their time is up anyway.
+  var leftovers = (options.frameDir ? JobDir.findLeftovers(options.frameDir) : []).filter(function(jobDir) {
+    var keptUntil = jobDir.getManifest().keptUntil;
+    if (keptUntil > Date.now()) {
+      console.log("keeping failed job until " + new Date(keptUntil) + ": " + jobDir.getDir());
+      setTimeout(function() {
+        removeLeftover(jobDir.getId());
+      }, keptUntil - Date.now());
+      return true;
+    }
+    if (options.keepCrashedJobs) {
+      console.log("keeping unfinished job: " + jobDir.getDir());
+      return true;
+    }
+    console.log("deleting unfinished job: " + jobDir.getDir());
+    jobDir.remove();
+    return false;
+  });
+
+  var findLeftover = function(id) {
+    return leftovers.filter(function(jobDir) {
+      return jobDir.getId() === id;
+    })[0];
+  };
+
+  var removeLeftover = function(id) {
+    var jobDir = findLeftover(id);
+    if (!jobDir) {
+      return false;
+    }
+    leftovers.splice(leftovers.indexOf(jobDir), 1);
+    jobDir.remove();
+    return true;
+  };
 
   this.on = eventEmitter.on.bind(eventEmitter);
   this.addListener = this.on;
   this.removeListener = eventEmitter.removeListener.bind(eventEmitter);
 
-  var wsServer = options.WebSocketServer ? new options.WebSocketServer(server) : new WSServer(server);
+  var encoders = [];
+  var maxInactiveEncoders = 50;
+
+  // Forget the oldest encoders that are done once there are too many.
+  var pruneEncoders = function() {
+    var inactive = encoders.filter(function(encoder) {
+      return !encoder.isActive();
+    });
+    inactive.slice(0, Math.max(0, inactive.length - maxInactiveEncoders)).forEach(function(encoder) {
+      encoders.splice(encoders.indexOf(encoder), 1);
+    });
+  };
+
+  var findSession = function(session) {
+    if (!session) {
+      return undefined;
+    }
+    return encoders.filter(function(encoder) {
+      return encoder.getSession() === session;
+    })[0];
+  };
+
+  var forgetEncoder = function(encoder) {
+    var ndx = encoders.indexOf(encoder);
+    if (ndx >= 0) {
+      encoders.splice(ndx, 1);
+    }
+  };
+
+  // Videos a user is capturing or encoding
+  var countJobs = function(user) {
+    return encoders.filter(function(encoder) {
+      return encoder.getUser() === user && encoder.isWorking();
+    }).length;
+  };
+
+  // Makes an encoder for a client or, without one, for a leftover job.
+  var makeEncoder = function(client, user) {
+    pruneEncoders();
+    var encoder = new VideoEncoder(client, videoServer, ++nextSessionId, {
+      videoDir: options.videoDir,
+      frameDir: options.frameDir,
+      keepFrames: options.keepFrames,
+      allowArbitraryFfmpegArguments: options.allowArbitraryFfmpegArguments,
+      pipeline: pipeline,
+      presets: presets,
+      jobQueue: jobQueue,
+      sessionGracePeriod: options.sessionGracePeriod !== undefined ? options.sessionGracePeriod : 5 * 60 * 1000,
+      failedJobGracePeriod: options.failedJobGracePeriod !== undefined ? options.failedJobGracePeriod : 10 * 60 * 1000,
+      findSession: findSession,
+      forgetEncoder: forgetEncoder,
+      user: user,
+      countJobs: countJobs,
+    });
+    encoders.push(encoder);
+    return encoder;
+  };
+
+  var wsServerOptions = { auth: options.auth };
+  var wsServer = options.WebSocketServer ? new options.WebSocketServer(server, wsServerOptions) : new WSServer(server, wsServerOptions);
   wsServer.on('connection', function(client) {
-      return new VideoEncoder(client, videoServer, ++nextSessionId, {
-        videoDir: options.videoDir,
-        frameDir: options.frameDir,
-        keepFrames: options.keepFrames,
-        allowArbitraryFfmpegArguments: options.allowArbitraryFfmpegArguments,
-      });
+      return makeEncoder(client, client.user);
   }.bind(this));
 
   // This sucks and I hate the number of contortions I'd have to do to "do it right".
@@ -84,6 +199,69 @@ var SocketServer = function(server, options) {
   this.getSocketServer = function() {
     return wsServer;
   };
+
+  /**
+   * @return {VideoEncoder[]} current encoders and recently finished ones.
+   */
+  this.getEncoders = function() {
+    return encoders.slice();
+  };
+
+  /**
+   * @param {string|number} id
+   * @return {VideoEncoder?} the encoder with that id
+   */
+  this.getEncoder = function(id) {
+    return encoders.filter(function(encoder) {
+      return String(encoder.getId()) === String(id);
+    })[0];
+  };
+
+  /**
+   * @return {JobDir[]} folders kept from jobs that were unfinished
+   *         when the server last stopped.
+   */
+  this.getLeftovers = function() {
+    return leftovers.slice();
+  };
+
+  /**
+   * Deletes a kept folder from an unfinished job.
+   * @param {string} id the folder's name
+   * @return {boolean} false if there's no such folder
+   */
+  this.removeLeftover = removeLeftover;
+
+  /**
+   * Encodes the frames in a kept folder from an unfinished or
+   * failed job as a new job. The folder is the new job's from then on.
+   * @param {string} id the folder's name
+   * @param {User?} user who the new job is for
+   * @param {Object?} data settings to change, like `reencode`'s
+   * @return {{encoder: VideoEncoder?, error: Object?}} the new job's
+   *     encoder or why it can't be encoded.
+   */
+  this.recoverLeftover = function(id, user, data) {
+    var jobDir = findLeftover(id);
+    if (!jobDir) {
+      return { error: { msg: "no such leftover: " + id } };
+    }
+    var encoder = makeEncoder(undefined, user);
+    var err = encoder.recover(jobDir, data);
+    if (err) {
+      forgetEncoder(encoder);
+      return { error: err };
+    }
+    leftovers.splice(leftovers.indexOf(jobDir), 1);
+    return { encoder: encoder };
+  };
+
+  /**
+   * @return {Presets} the presets clients can pick from
+   */
+  this.getPresets = function() {
+    return presets;
+  };
 };
 
 module.exports = SocketServer;
@@ -31,20 +31,35 @@
 
 "use strict";
 
+var archive      = require('../lib/archive');
+var audioFormats = require('../lib/audio-formats');
+var crypto       = require('crypto');
 var debug        = require('debug')('video-encoder');
 var FFMpegRunner = require('../lib/ffmpeg-runner');
+var frameFormats = require('../lib/frame-formats');
+var frameTimes   = require('../lib/frame-times');
 var fs           = require('fs');
+var gif          = require('../lib/gif');
+var JobDir       = require('./job-dir');
+var messageSchemas = require('./message-schemas').messageSchemas;
 var path         = require('path');
 var Promise      = require('bluebird');
+var schema       = require('../lib/schema');
+var transparency = require('../lib/transparency');
 var utils        = require('../lib/utils');
 var util         = require('util');
 
+var openP  = Promise.promisify(fs.open);
+var writeP = Promise.promisify(fs.write);
+var closeP = Promise.promisify(fs.close);
+var appendFileP = Promise.promisify(fs.appendFile);
+
 var encoders = [];
 
 function cleanUpEncodersOnExit() {
   encoders.forEach(function(encoder, ndx) {
     console.log(ndx);
-    encoder.cleanup();
+    encoder.shutdown();
   });
   encoders = [];
 };
@@ -60,26 +75,66 @@ process.on('uncaughtException', cleanUpEncodersOnExitAndExit);
 
 /**
  * @constructor
- * @param {!Client} client The websocket
+ * @param {Client?} client The websocket. None for one made to
+ *        encode a job left from before the server restarted.
  * @param {string} id a unique id
  */
 function VideoEncoder(client, server, id, options) {
   var self = this;
   var count = 0;
   var name;
-  var frames = [];
   var sendCmd;
   var numWriting = 0;
   var numErrors = 0;
   var ended = false;
   var framerate = 30;
-  var extension = ".mp4";
-  var codec;
+  var outputs = [];
   var connected = true;
-  var ffmpegArguments;
-  var textoverlay = '';
-  var videoLength = 0;
-  var renderWidth = 0;
+  var meta = {};
+  var overlayLayers;
+  var streamEncoder;
+  var encodeProgress;
+  var encoding = false;
+  var jobDir;
+  var retryTimer;
+  var queueJob;
+  var frameFormat = frameFormats.getFormat("png");
+  var frameWidth;
+  var frameHeight;
+  var flipY = false;
+  var jobName;
+  var state = "connected";
+  var progress = 0;
+  var output;
+  var lastError;
+  var currentProcess;
+  var cancelled = false;
+  var session;
+  var sessionTimer;
+  var audioTracks = [];
+  // `audio` and `audiochunk` messages received. A browser that
+  // resumes sends the ones after this again.
+  var numAudioMessages = 0;
+  var silentAudio = false;
+  var maxAudioTracks = 8;
+  var maxPCMSeconds = 4 * 60 * 60;
+  // A WAV can't be over 4GB and ffmpeg has to read all of it
+  var maxPCMBytes = 1024 * 1024 * 1024;
+  var user = options.user;
+  var limits = user ? user.limits : {};
+  var diskBytes = 0;
+  var downloadName;
+  var outputName;
+  var numImages = 0;
+  var times = [];
+  var frameNums = [];
+  var timecodes;
+  var nextTime = 0;
+  var variableRate = false;
+  var dedupe = false;
+  var lastHash;
+  var lastImage;
+  var sequence;
 
   debug("" + id + ": start encoder");
 
@@ -92,14 +147,51 @@ function VideoEncoder(client, server, id, options) {
     if (name !== undefined) {
       return sendCmd("error", "video already in progress");
     }
+    if (retryTimer) {
+      // A new video throws away the frames of the one that failed.
+      discardKeptFrames();
+    }
     data = data || {};
     framerate = data.framerate || 30;
-    extension = safeName(data.extension || ".mp4");
-    codec = data.codec;
-    if (options.allowArbitraryFfmpegArguments) {
-      ffmpegArguments = data.ffmpegArguments;
-    } else if (data.ffmpegArguments) {
-      sendCmd("error", { msg: "ffmpegArguments not allowed without --allow-arbitrary-ffmpeg-argumments command line option" });
+    frameFormat = frameFormats.getFormat(data.frameFormat || "png");
+    if (!frameFormat) {
+      sendCmd("error", { msg: "unknown frameFormat: " + data.frameFormat, field: "frameFormat" });
+      return;
+    }
+    frameWidth = data.width;
+    frameHeight = data.height;
+    if (frameFormat.raw && !(frameWidth > 0 && frameHeight > 0)) {
+      sendCmd("error", { msg: "width and height are required for " + frameFormat.name + " frames", field: "width" });
+      return;
+    }
+    flipY = !!data.flipY;
+    if (data.output === "sequence") {
+      var sequenceFormat = frameFormats.sequenceFormats[data.sequenceFormat || "png"];
+      if (sequenceFormat && !sequenceFormat.available) {
+        sendCmd("error", { msg: "this server's ffmpeg can't make " + data.sequenceFormat, field: "sequenceFormat" });
+        return;
+      }
+    }
+    // Streamed frames go straight to ffmpeg so there's nothing to hold.
+    if (data.stream && data.dedupe && data.output !== "sequence") {
+      sendCmd("error", { msg: "dedupe can't be used when streaming", field: "dedupe" });
+      return;
+    }
+    var made = makeOutputs(data);
+    if (made.error) {
+      sendCmd("error", made.error);
+      return;
+    }
+    if (limits.maxWidth !== undefined && frameWidth > limits.maxWidth) {
+      sendCmd("error", { msg: "width must be at most " + limits.maxWidth, field: "width" });
+      return;
+    }
+    if (limits.maxHeight !== undefined && frameHeight > limits.maxHeight) {
+      sendCmd("error", { msg: "height must be at most " + limits.maxHeight, field: "height" });
+      return;
+    }
+    if (limits.maxJobs !== undefined && options.countJobs(user) >= limits.maxJobs) {
+      sendCmd("error", { msg: "too many videos at once. max " + limits.maxJobs });
       return;
     }
 
@@ -108,224 +200,969 @@ function VideoEncoder(client, server, id, options) {
     numErrors = 0;
     ended = false;
     name = safeName((data.name || "untitled") + "-" + id);
-    frames = [];
+    downloadName = data.name || "untitled";
+    jobName = name;
+    state = "capturing";
+    progress = 0;
+    output = undefined;
+    lastError = undefined;
+    cancelled = false;
+    diskBytes = 0;
+    numImages = 0;
+    times = [];
+    frameNums = [];
+    timecodes = undefined;
+    nextTime = 0;
+    variableRate = false;
+    dedupe = !!data.dedupe;
+    lastHash = undefined;
+    lastImage = undefined;
+    sequence = data.output === "sequence" ? {
+      format: frameFormats.sequenceFormats[data.sequenceFormat || "png"],
+      archive: data.archive || "zip",
+    } : undefined;
+    audioTracks = [];
+    numAudioMessages = 0;
+    silentAudio = !!data.silentAudio;
+    overlayLayers = data.overlays;
+    outputs = made.outputs;
+    session = crypto.randomBytes(16).toString('hex');
+    // Ids start again at 1 after a restart. The session makes the
+    // names of the job's folder and files unique.
+    outputName = name + "-" + session.substr(0, 8);
+    try {
+      jobDir = JobDir.create(path.join(options.frameDir, outputName), {
+        name: name,
+        user: user ? user.name : undefined,
+        state: state,
+        settings: data,
+        framePattern: name + "-%d" + frameFormat.extension,
+      });
+    } catch (e) {
+      console.error(e);
+      name = undefined;
+      state = "error";
+      lastError = "could not make a folder for the job";
+      sendCmd("error", { msg: lastError });
+      return;
+    }
     debug("start: " + name);
+    sendCmd("started", { session: session, name: name });
+    if (data.stream && !sequence) {
+      // Streaming needs an encoder slot now. If there isn't one
+      // fall back to saving frames and queuing at the end.
+      queueJob = makeQueueJob(startStreaming);
+      if (!options.jobQueue.tryRun(queueJob)) {
+        console.log("no free encoder slot. not streaming: " + name);
+        queueJob = undefined;
+      }
+    }
   };
 
-  var cleanup = function() {
-    if (frames.length) {
-      if (!options.keepFrames) {
-        console.log("deleting frames for: " + name);
-        frames.forEach(utils.deleteNoFail.bind(utils));
-        frames = [];
+  /**
+   * Makes the outputs a `start` or `reencode` message asks for.
+   * @param {Object} data the message
+   * @return {{outputs: VideoEncoder~Output[]?, error: Object?}} the
+   *     outputs or an error to send if they aren't allowed.
+   */
+  var makeOutputs = function(data) {
+    var outputSettings = data.outputs && data.outputs.length ? data.outputs : [{
+      extension: data.extension,
+      codec: data.codec,
+      ffmpegArguments: data.ffmpegArguments,
+      preset: data.preset,
+      presetParams: data.presetParams,
+      gif: data.gif,
+      transparent: data.transparent,
+    }];
+    for (var ii = 0; ii < outputSettings.length; ++ii) {
+      var field = outputSettings === data.outputs ? "outputs[" + ii + "]" : "";
+      var settings = outputSettings[ii];
+      if (settings.ffmpegArguments && !options.allowArbitraryFfmpegArguments) {
+        return { error: {
+          msg: "ffmpegArguments not allowed without --allow-arbitrary-ffmpeg-argumments command line option",
+          field: field ? field + ".ffmpegArguments" : "ffmpegArguments",
+        } };
+      }
+      var presetErr = settings.preset !== undefined ? options.presets.check(settings.preset, settings.presetParams, field) : undefined;
+      if (presetErr) {
+        return { error: presetErr };
       }
     }
-    // clean up additional intermediate files
-    utils.deleteNoFail(path.join(options.videoDir, 'ts-' + name + '.txt')) // timestamps
-    utils.deleteNoFail(path.join(options.videoDir, 'vfr-' + name + '.mp4')) // vfr video
-    utils.deleteNoFail(path.join(options.videoDir, 'cfr-' + name + '.mp4')) // cfr video
-    utils.deleteNoFail(path.join(options.videoDir, name + '.mp3')) // audio track
-    utils.deleteNoFail(path.join(options.videoDir, name + '.mp4')) // initial rendered video
+    var newOutputs = outputSettings.map(makeOutput);
+    for (var jj = 0; jj < newOutputs.length; ++jj) {
+      if (newOutputs[jj].transparent) {
+        var prefix = outputSettings === data.outputs ? "outputs[" + jj + "]." : "";
+        var alphaErr = transparency.check(newOutputs[jj].extension, newOutputs[jj].codec);
+        if (alphaErr) {
+          return { error: { msg: alphaErr.msg, field: prefix + alphaErr.field } };
+        }
+        if (!frameFormat.alpha) {
+          return { error: { msg: frameFormat.name + " frames can't be transparent", field: "frameFormat" } };
+        }
+      }
+    }
+    return { outputs: newOutputs };
+  };
+
+  /**
+   * @typedef {Object} VideoEncoder~Output
+   * @property {string?} name what the client called it
+   * @property {string} suffix added to the video's name for this
+   *           output's files. The first output has none.
+   * @property {string} extension eg ".mp4"
+   * @property {string?} codec
+   * @property {string?} scale width x height, eg "640x-2"
+   * @property {string?} bitrate eg "2M"
+   * @property {string[]} filters more video filters, from a preset
+   * @property {string[]} presetArguments
+   * @property {string[]?} ffmpegArguments
+   * @property {boolean} transparent true to keep the frames' alpha
+   * @property {Gif~Options?} gif set if it's a GIF made in two passes.
+   *           The encoder then makes a lossless video for the passes.
+   * @property {boolean} presetGif true if it's a GIF from a preset. It's
+   *           made from a lossless video too, in one pass with the
+   *           preset's filters.
+   */
+
+  // Makes an output from the settings the client sent. The first
+  // is the main video. Others are named by their index, and name if
+  // they have one, so they never clash with each other or thumbnails.
+  // GIFs get a palette made for them unless they use a preset, which
+  // makes its own.
+  var makeOutput = function(settings, ndx) {
+    var usePreset = settings.preset !== undefined;
+    var preset = usePreset ?
+        options.presets.getOutputSettings(settings.preset, settings.presetParams) :
+        { filters: [], arguments: [] };
+    var transparent = !!settings.transparent;
+    var extension = safeName(settings.extension || preset.extension ||
+        (transparent ? transparency.defaultExtension : ".mp4"));
+    var codec = settings.codec || preset.codec;
+    return {
+      name: settings.name,
+      suffix: ndx ? "-" + ndx + (settings.name ? "-" + settings.name : "") : "",
+      extension: extension,
+      codec: codec || (transparent ? transparency.getDefaultCodec(extension) : undefined),
+      transparent: transparent,
+      scale: settings.scale,
+      bitrate: settings.bitrate,
+      filters: preset.filters,
+      presetArguments: preset.arguments,
+      ffmpegArguments: settings.ffmpegArguments,
+      gif: extension === ".gif" && !usePreset ? settings.gif || {} : undefined,
+      presetGif: extension === ".gif" && usePreset,
+    };
+  };
+
+  // True if the output is first made as a lossless video, so the
+  // stages draw on the real colors, and then made from that.
+  var isMadeLossless = function(output) {
+    return output.gif !== undefined || output.presetGif;
+  };
+
+  /**
+   * Makes an entry for the job queue. It holds its slot until
+   * `leaveQueue` is called.
+   * @param {function()} start called when the job gets a slot.
+   * @return {JobQueue~Job}
+   */
+  var makeQueueJob = function(start) {
+    var job = {
+      start: function() {
+        return new Promise(function(resolve) {
+          job.release = resolve;
+          start();
+        });
+      },
+      onStateChange: function(queueState, position) {
+        state = queueState === "queued" ? "queued" : "encoding";
+        sendCmd("queued", {
+          state: queueState,
+          position: position,
+        });
+      },
+    };
+    return job;
+  };
+
+  // Frees this encoder's slot in the job queue or, if it's still
+  // waiting, takes it out of the queue.
+  var leaveQueue = function() {
+    if (queueJob) {
+      options.jobQueue.remove(queueJob);
+      if (queueJob.release) {
+        queueJob.release();
+      }
+      queueJob = undefined;
+    }
+  };
+
+  // Deletes the job's folder or, if frames are kept, everything
+  // in it but the frames and the manifest.
+  var cleanup = function() {
+    if (!jobDir || !fs.existsSync(jobDir.getDir())) {
+      return;
+    }
+    if (options.keepFrames) {
+      jobDir.removeFiles();
+      jobDir.update({ state: state, keptUntil: undefined });
+      return;
+    }
+    console.log("deleting frames for: " + name);
+    jobDir.remove();
+    if (user) {
+      user.addDiskUsage(-diskBytes);
+    }
+    diskBytes = 0;
+  };
+
+  // Gets something short enough to show a person from an
+  // error or ffmpeg result.
+  var describeError = function(result) {
+    if (result && result.stderr) {
+      var lines = result.stderr.split(/\r?\n/).filter(function(line) {
+        return line.trim().length > 0;
+      });
+      return lines[lines.length - 1];
+    }
+    return result && result.message ? result.message : String(result);
   };
 
   var handleFFMpegError = function(result) {
+    if (cancelled) {
+      return;
+    }
     debug("error running ffmpeg: " + JSON.stringify(result));
-    sendCmd("error", { result: result });
-    cleanup();
+    // Frames that were saved, not streamed, can be encoded again.
+    // A sequence whose archive failed can be archived again.
+    var canReencode = ended && !streamEncoder && numImages > 0 &&
+        options.failedJobGracePeriod > 0;
+    state = "error";
+    lastError = describeError(result);
+    currentProcess = undefined;
+    streamEncoder = undefined;
+    ended = false;
+    leaveQueue();
+    if (canReencode) {
+      keepFramesForReencode();
+    } else {
+      cleanup();
+    }
     name = undefined;
+    sendCmd("error", { result: result, canReencode: canReencode });
+  };
+
+  // Keeps a failed video's frames and audio for `failedJobGracePeriod`
+  // milliseconds so it can be encoded again with `reencode`.
+  var keepFramesForReencode = function() {
+    jobDir.removeFiles(audioTracks.map(function(track) {
+      return track.filename;
+    }).filter(Boolean));
+    jobDir.update({ state: state, keptUntil: Date.now() + options.failedJobGracePeriod });
+    retryTimer = setTimeout(function() {
+      debug("" + id + ": deleting the kept frames of " + jobName);
+      retryTimer = undefined;
+      cleanup();
+    }, options.failedJobGracePeriod);
+  };
+
+  var discardKeptFrames = function() {
+    clearTimeout(retryTimer);
+    retryTimer = undefined;
+    cleanup();
   };
 
   var handleFFMpegFrame = function(frameNum) {
-    sendCmd("progress", {
-      progress: frameNum / frames.length,
+    // While streaming ffmpeg reports frames as they're captured
+    // so there's no meaningful progress until the end.
+    if (encodeProgress) {
+      encodeProgress(Math.min(1, frameNum / numImages));
+    }
+  };
+
+  /**
+   * Gets the ffmpeg arguments for an output's codec and pixel format.
+   * Also used by stages that encode the video again.
+   * @param {VideoEncoder~Output} output
+   * @return {string[]}
+   */
+  var getCodecArgs = function(output) {
+    if (output.transparent) {
+      return transparency.getArguments(output.codec);
+    } else if (output.codec) {
+      return ["-c:v", output.codec];
+    } else if (output.extension === ".mp4") {
+      return ["-c:v", "libx264", "-pix_fmt", "yuv420p"];
+    }
+    return [];
+  };
+
+  /**
+   * Gets the ffmpeg arguments for one output
+   * @param {VideoEncoder~Output} output
+   * @param {string[]?} timeFilters filters that put the frames at
+   *        the times the client sent.
+   * @return {string[]}
+   */
+  var getOutputArgs = function(output, timeFilters) {
+    var args = [];
+    var filters = [];
+
+    if (flipY) {
+      filters.push("vflip");
+    }
+    if (output.scale) {
+      filters.push("scale=" + output.scale.replace("x", ":"));
+    }
+    if (!output.presetGif) {
+      filters = filters.concat(output.filters);
+    }
+    if (timeFilters) {
+      // The times are too long for the command line
+      var script = jobDir.getPath("encode-" + name + output.suffix + "-filters.txt");
+      fs.writeFileSync(script, timeFilters.concat(filters).join(","));
+      jobDir.addFile(script);
+      args.push("-filter_script:v", script);
+      args = args.concat(frameTimes.vfrArguments);
+    } else if (filters.length) {
+      args.push("-vf", filters.join(","));
+    }
+
+    return args.concat(getEncodeArgs(output));
+  };
+
+  /**
+   * Gets the ffmpeg arguments that encode an output: the codec,
+   * bitrate, preset and client's arguments. Stages that encode the
+   * video again use them too so nothing the client asked for is lost.
+   * @param {VideoEncoder~Output} output
+   * @return {string[]}
+   */
+  var getEncodeArgs = function(output) {
+    if (isMadeLossless(output)) {
+      // Lossless so the GIF passes start from the real colors.
+      return ["-c:v", "ffv1"];
+    }
+    return getFinalEncodeArgs(output);
+  };
+
+  // Gets the arguments that make an output's file in the end
+  var getFinalEncodeArgs = function(output) {
+    var args = getCodecArgs(output);
+
+    if (output.bitrate) {
+      args.push("-b:v", output.bitrate);
+    }
+
+    args = args.concat(output.presetArguments);
+
+    if (Array.isArray(output.ffmpegArguments)) {
+      args = args.concat(output.ffmpegArguments);
+    }
+    return args;
+  };
+
+  /**
+   * Starts ffmpeg encoding the frames. One ffmpeg makes all the
+   * outputs so the frames are only read once.
+   * @param {string[]} inputArgs ffmpeg arguments for the input
+   * @param {FFMpegRunner~Options?} runnerOptions
+   * @param {string[]?} timeFilters see `getOutputArgs`
+   * @return {{runner: FFMpegRunner, done: Promise<string[]>}} the runner
+   *     and a promise that resolves to the encoded filenames, one
+   *     per output.
+   */
+  var startEncoder = function(inputArgs, runnerOptions, timeFilters) {
+    var args = inputArgs.concat(["-y"]);
+    var videonames = outputs.map(function(output) {
+      var videoname = jobDir.getPath("encode-" + name + output.suffix + (isMadeLossless(output) ? "-frames.mkv" : output.extension));
+      args = args.concat(getOutputArgs(output, timeFilters), [videoname]);
+      jobDir.addFile(videoname);
+      return videoname;
+    });
+
+    var runner = new FFMpegRunner(args, runnerOptions);
+    runner.on('frame', handleFFMpegFrame);
+    currentProcess = runner;
+    return {
+      runner: runner,
+      done: new Promise(function(resolve, reject) {
+        runner.on('error', reject);
+        runner.on('done', function() {
+          console.log("converted " + numImages + " frames to: " + videonames.join(", "));
+          resolve(videonames);
+        });
+      }),
+    };
+  };
+
+  /**
+   * Starts a long running ffmpeg that frames are piped into
+   * as they arrive so encoding overlaps capture.
+   */
+  var startStreaming = function() {
+    console.log("streaming frames for " + name);
+    var encoder = startEncoder(frameFormats.getInputArgs(frameFormat, {
+      framerate: framerate,
+      width: frameWidth,
+      height: frameHeight,
+    }), {
+      stdin: true,
+    });
+    streamEncoder = encoder;
+    // Errors after the end are reported by the pipeline.
+    encoder.done.catch(function(result) {
+      if (!ended && encoder === streamEncoder) {
+        handleFFMpegError(result);
+      }
+    });
+  };
+
+  // Frame times have to be known when ffmpeg starts so a video
+  // whose first frame has a time is saved to disk instead.
+  var stopStreaming = function() {
+    console.log("frames have times. not streaming: " + name);
+    var encoder = streamEncoder;
+    streamEncoder = undefined;
+    currentProcess = undefined;
+    encoder.runner.kill();
+    leaveQueue();
+  };
+
+  // Runs one pass of making a GIF
+  var runGifPass = function(args, numFrames, progress) {
+    if (cancelled) {
+      return Promise.reject(new Error("cancelled"));
+    }
+    var runner = new FFMpegRunner(args);
+    currentProcess = runner;
+    return new Promise(function(resolve, reject) {
+      runner.on('frame', function(frameNum) {
+        progress(Math.min(1, frameNum / numFrames));
+      });
+      runner.on('error', reject);
+      runner.on('done', resolve);
+    });
+  };
+
+  /**
+   * Makes a GIF from an output's lossless video in two passes.
+   * The first picks the best palette, the second uses it.
+   * @param {VideoEncoder~Output} output
+   * @param {string} input the lossless video
+   * @param {function(number)} progress
+   * @return {Promise<string>} the GIF's filename
+   */
+  var makeGif = function(output, input, progress) {
+    var basename = jobDir.getPath("encode-" + name + output.suffix);
+    var palette = basename + "-palette.png";
+    var gifname = basename + output.extension;
+    var numFrames = gif.getNumFrames(output.gif, count);
+    jobDir.addFile(palette);
+    jobDir.addFile(gifname);
+
+    var pass = 0;
+    var passProgress = function(p) {
+      progress((pass + p) / 2);
+    };
+    return runGifPass(gif.getPaletteArgs(input, palette, output.gif, framerate), numFrames, passProgress)
+    .then(function() {
+      ++pass;
+      var args = gif.getGifArgs(input, palette, output.gif, framerate)
+          .concat(output.ffmpegArguments || [], [gifname]);
+      return runGifPass(args, numFrames, passProgress);
+    })
+    .then(function() {
+      console.log("made gif: " + gifname);
+      return gifname;
     });
   };
 
+  /**
+   * Makes a GIF from an output's lossless video in one pass with its
+   * preset's filters, which pick the palette.
+   * @param {VideoEncoder~Output} output
+   * @param {string} input the lossless video
+   * @param {function(number)} progress
+   * @return {Promise<string>} the GIF's filename
+   */
+  var makePresetGif = function(output, input, progress) {
+    var gifname = jobDir.getPath("encode-" + name + output.suffix + output.extension);
+    jobDir.addFile(gifname);
+    var args = ["-y", "-i", input];
+    if (output.filters.length) {
+      args.push("-vf", output.filters.join(","));
+    }
+    args = args.concat(getFinalEncodeArgs(output), [gifname]);
+    return runGifPass(args, count, progress)
+    .then(function() {
+      console.log("made gif: " + gifname);
+      return gifname;
+    });
+  };
+
+  // True if the frames aren't all a frame apart, because the client
+  // sent times or frames were held.
+  var isVariableRate = function() {
+    return variableRate || timecodes !== undefined;
+  };
+
+  // Gets the time of each saved image then the time the last one
+  // ends, which is the end of the last frame, held or not.
+  var getImageTimes = function() {
+    var imageTimes = times.map(function(time, ndx) {
+      var timecode = timecodes ? timecodes[frameNums[ndx]] : undefined;
+      return timecode !== undefined ? timecode : time;
+    });
+    var lastTimecode = timecodes ? timecodes[count - 1] : undefined;
+    imageTimes.push(lastTimecode !== undefined ? lastTimecode + 1 / framerate : nextTime);
+    return imageTimes;
+  };
+
+  // Gets the filters that put each saved image at its time.
+  var getTimeFilters = function() {
+    return frameTimes.getFilters(frameTimes.getTimes(getImageTimes(), numImages + 1, framerate));
+  };
+
+  /**
+   * Encodes the frames. GIFs are encoded losslessly. They're made
+   * into GIFs after the pipeline.
+   * @param {function(number)} progress
+   * @return {Promise<string[]>} the encoded filenames, one per output.
+   */
+  var encode = function(progress) {
+    encodeProgress = progress;
+    var done;
+    if (streamEncoder) {
+      streamEncoder.runner.end();
+      done = streamEncoder.done;
+    } else {
+      var framesname = jobDir.getPath(name + "-%d" + frameFormat.extension);
+      var timeFilters = isVariableRate() ? getTimeFilters() : undefined;
+      console.log("converting " + framesname);
+      done = startEncoder(frameFormats.getInputArgs(frameFormat, {
+        framerate: framerate,
+        width: frameWidth,
+        height: frameHeight,
+        pattern: framesname,
+      }), undefined, timeFilters).done;
+    }
+
+    return done;
+  };
+
   var checkForEnd = function() {
-    if (ended && numWriting === 0) {
-      var videoname = path.join(options.videoDir, name + extension);
-      var framesname = path.join(options.frameDir, name + "-%d.png");
-      console.log("converting " + framesname + " to " + videoname);
-
-      var args = [
-        "-framerate", framerate,
-        "-pattern_type", "sequence",
-        "-start_number", "0",
-        "-i", framesname,
-        "-y",
-      ];
-
-      if (codec) {
-        args.push("-c:v", codec);
-      } else if (extension === ".mp4") {
-        args.push("-c:v", "libx264", "-pix_fmt", "yuv420p");
-      }
-
-      if (Array.isArray(ffmpegArguments)) {
-        args = args.concat(ffmpegArguments);
-      }
-      args.push(videoname)
-
-      var runner = new FFMpegRunner(args);
-      runner.on('error', handleFFMpegError);
-      runner.on('frame', handleFFMpegFrame);
-      runner.on('done', function(result) {
-        console.log("converted " + frames.length + " frames to: " + videoname);
-        createVfrVideo(videoname)
+    if (ended && numWriting === 0 && !encoding) {
+      encoding = true;
+      jobDir.update({
+        state: "encoding",
+        numImages: numImages,
+        frameCount: count,
+        imageTimes: isVariableRate() ? getImageTimes() : undefined,
+        audio: audioTracks.filter(function(track) {
+          return track.filename;
+        }).map(function(track) {
+          return {
+            file: path.basename(track.filename),
+            offset: track.offset,
+            volume: track.volume,
+          };
+        }),
       });
+      var run = sequence ? runSequence : runPipeline;
+      if (queueJob) {
+        // streaming so it already has a slot.
+        run();
+      } else {
+        queueJob = makeQueueJob(run);
+        options.jobQueue.add(queueJob);
+      }
     }
+  };
+
+  // Moves a file a stage made to the video folder and makes it
+  // downloadable. It's named after the video plus the key.
+  var addExtraFile = function(fileInfo, extra) {
+    var suffix = "-" + extra.key.replace(/[A-Z]/g, function(c) {
+      return "-" + c.toLowerCase();
+    }) + path.extname(extra.file);
+    var filename = path.join(options.videoDir, outputName + suffix);
+    utils.moveFile(extra.file, filename);
+    return server.addFile(filename, user, downloadName + suffix).then(function(extraInfo) {
+      fileInfo[extra.key] = extraInfo.pathname;
+      if (user) {
+        user.addDiskUsage(extraInfo.size);
+      }
+    });
+  };
+
+  /**
+   * Runs the pipeline for one output.
+   * @param {VideoEncoder~Output} output
+   * @param {number} ndx which output
+   * @param {function(function(number)): Promise<string[]>} encodeAll
+   *     encodes every output
+   * @param {Object[]} extraFiles where files stages add go.
+   * @return {Promise<Object>} the info for the finished file
+   */
+  var runOutputPipeline = function(output, ndx, encodeAll, extraFiles) {
+    var videoname = path.join(options.videoDir, outputName + output.suffix + output.extension);
+    // A GIF goes through the stages as its lossless video so things
+    // like overlays are drawn before its palette is picked.
+    var lossless = isMadeLossless(output);
+    var pipelineShare = lossless ? 0.5 : 1;
+    var reportProgress = function(p) {
+      progress = (ndx + p) / outputs.length;
+      sendCmd("progress", {
+        progress: progress,
+      });
+    };
+    var job = {
+      name: name + output.suffix,
+      extension: lossless ? ".mkv" : output.extension,
+      videoArguments: getEncodeArgs(output).concat(isVariableRate() ? frameTimes.vfrArguments : []),
+      rendition: ndx,
+      workDir: jobDir.getDir(),
+      numFrames: numImages,
+      audioTracks: lossless ? [] : audioTracks.filter(function(track) {
+        return track.filename;
+      }).map(function(track) {
+        return {
+          file: track.filename,
+          offset: track.offset,
+          volume: track.volume,
+        };
+      }),
+      silentAudio: silentAudio && !lossless,
+      meta: meta,
+      overlays: overlayLayers,
+      encode: function(progress) {
+        return encodeAll(progress).then(function(filenames) {
+          return filenames[ndx];
+        });
+      },
+      progress: function(p) {
+        reportProgress(p * pipelineShare);
+      },
+      setProcess: function(proc) {
+        currentProcess = proc;
+      },
+      isCancelled: function() {
+        return cancelled;
+      },
+      addFile: function(key, file) {
+        jobDir.addFile(file);
+        extraFiles.push({ key: key, file: file });
+      },
+    };
+
+    return options.pipeline.run(job, jobDir.addFile)
+    .then(function(filename) {
+      if (!lossless) {
+        return filename;
+      }
+      var passProgress = function(p) {
+        reportProgress(pipelineShare + p * (1 - pipelineShare));
+      };
+      return output.gif ?
+          makeGif(output, filename, passProgress) :
+          makePresetGif(output, filename, passProgress);
+    })
+    .then(function(filename) {
+      utils.moveFile(filename, videoname);
+      return server.addFile(videoname, user, downloadName + output.suffix + output.extension);
+    })
+    .then(function(fileInfo) {
+      if (user) {
+        user.addDiskUsage(fileInfo.size);
+      }
+      fileInfo.name = output.name;
+      return fileInfo;
+    });
+  };
 
-    function createVfrVideo(videoname) {
-      console.log('Writing VFR video...')
-      const { spawn } = require('child_process')
-      const args = [
-        '-o', path.join(options.frameDir, 'vfr-' + name + '.mp4'),
-        '-t', path.join(options.frameDir, 'ts-' + name + '.txt'),
-        videoname
-      ]
-      console.log('mp4fpsmod ' + args.join(' '))
-
-      const mp4fpsmod = spawn('mp4fpsmod', args)
-
-      mp4fpsmod.stdout.on('data', data => { console.log(`stdout: ${data}`) })
-      mp4fpsmod.stderr.on('data', data => { console.log(`stderr: ${data}`) })
-      mp4fpsmod.on('close', createCfrVideo)
-    }
-
-    function createCfrVideo() {
-      console.log('Writing CFR video with audio...')
-      const { spawn } = require('child_process')
-      var args = [
-        '-y',
-        '-i', path.join(options.frameDir, 'vfr-' + name + '.mp4'),
-        '-i', path.join(options.frameDir, name + '.mp3'),
-        '-map', '0:v',
-        '-map', '1:a',
-        '-shortest',
-        path.join(options.frameDir, 'cfr-' + name + '.mp4')
-      ]
-      console.log('ffmpeg ' + args.join(' '))
-
-      const ffmpeg = spawn('ffmpeg', args)
-
-      ffmpeg.stdout.on('data', data => { console.log(`stdout: ${data}`) })
-      ffmpeg.stderr.on('data', data => { console.log(`stderr: ${data}`) })
-      ffmpeg.on('close', createFinalVideo)
-    }
-
-    function createFinalVideo() {
-      console.log('Writing text overlay to video...')
-
-      let nearEndMap = {
-        10000: 6,
-        15000: 10,
-        30000: 23
-      }
-      let nearEnd = nearEndMap[videoLength]
-      // user defined text
-      // - display start
-      // - display end
-      // - fade out duration
-      // - fade in duration
-      let DS = 0,
-          DE = nearEnd,
-          FOD = 0.25,
-          FID = 0
-
-      // pasteur tagline
-      let DS2 = nearEnd,
-          DE2 = 9999,
-          FOD2 = 0,
-          FID2 = 0.25
-
-      const outputLength = renderWidth
-      const outputWidth = outputLength
-      const outputHeight = outputLength
-      const textPad = outputLength / 135
-      const fontSize = outputLength / 36
-
-      // https://gist.github.com/enzinier/8d00d3f37d2e23985dcfa65662d163fa
-      var linuxFontPath = require('os').homedir() + '/.local//share/fonts/adobe-fonts/source-code-pro/TTF/SourceCodePro-Semibold.ttf'
-      var fontPath = fs.existsSync(linuxFontPath) ? linuxFontPath : path.resolve(__dirname, '../font/', 'SourceCodePro-SemiBold.ttf')
-
-      var args = [
-        '-y',
-        '-i', path.join(options.frameDir, 'cfr-' + name + '.mp4'),
-        '-filter_complex',
-          // '"drawbox=x=0:',
-          // 'y=ih-17:',
-          // 'w=640:',
-          // 'h=17:',
-          // 'color=black:',
-          // 't=100,', // covers for version incompatibility between ffmpeg 3 and 4 (max vs fill)
-
-          '"pad=width=' + outputWidth + ':height=' + outputHeight  + ':x=0:y=0:color=black,',
-
-          'drawtext=fontfile=' + fontPath + ':',
-          'text=\'' + textoverlay + '\':',
-          'fontcolor=efebff:',
-          'fontsize=' + fontSize + ':',
-          'x=(w-text_w)/2:',
-          'y=(h-text_h)-' + textPad + ':',
-          'ft_load_flags=default:',
-          'fontcolor_expr=efebff%{eif\\\\\\\\: clip(255*(1*between(t\\\\, ' + (DS + FID) + '\\\\, ' + (DE - FOD) + ') + ((t - ' + DS + ')/(' + (FID + 0.00001) + '))*between(t\\\\, ' + DS + '\\\\, ' + (DS + FID) + ') + (-(t - ' + DE + ')/(' + (FOD + 0.00001) + '))*between(t\\\\, ' + (DE - FOD) + '\\\\, ' + DE + ') )\\\\, 0\\\\, 255) \\\\\\\\: x\\\\\\\\: 2 },',
-
-          'drawtext=fontfile=' + fontPath + ':',
-          'text=\'' + 'generated by @pasteur.cc / www.pasteur.cc' + '\':',
-          'fontcolor=efebff:',
-          'fontsize=' + fontSize + ':',
-          'x=(w-text_w)/2:',
-          'y=(h-text_h)-' + textPad + ':',
-          'ft_load_flags=default:',
-          'fontcolor_expr=efebff%{eif\\\\\\\\: clip(255*(1*between(t\\\\, ' + (DS2 + FID2) + '\\\\, ' + (DE2 - FOD2) + ') + ((t - ' + DS2 + ')/(' + (FID2 + 0.00001) + '))*between(t\\\\, ' + DS2 + '\\\\, ' + (DS2 + FID2) + ') + (-(t - ' + DE2 + ')/(' + (FOD2 + 0.00001) + '))*between(t\\\\, ' + (DE2 - FOD2) + '\\\\, ' + DE2 + ') )\\\\, 0\\\\, 255) \\\\\\\\: x\\\\\\\\: 2 }"',
-        '-codec:a', 'copy',
-        path.join(options.frameDir, 'final-' + name + '.mp4')
-      ]
-      
-      console.log('ffmpeg ' + args.join(' '))
-      var runner = new FFMpegRunner(args);
-      runner.on('error', handleFFMpegError);
-      runner.on('frame', handleFFMpegFrame);
-      runner.on('done', function(result) {
-        server.addFile(path.join(options.frameDir, 'final-' + name + '.mp4'))
-          .then(function(fileInfo) {
-            sendCmd("end", fileInfo);
-            cleanup();
-          })
-          .catch(function(e) {
-            console.log("error adding file: " + path.join(options.frameDir, 'final-' + name + '.mp4'));
-            throw e;
-        })
+  // Every output goes through the pipeline, one after the other.
+  // The frames are only encoded once, by the first.
+  var runPipeline = function() {
+    var extraFiles = [];
+    var encoded;
+    var encodeAll = function(progress) {
+      if (!encoded) {
+        encoded = encode(progress);
+      }
+      return encoded;
+    };
+
+    var fileInfos = [];
+    Promise.each(outputs, function(output, ndx) {
+      return runOutputPipeline(output, ndx, encodeAll, extraFiles).then(function(fileInfo) {
+        fileInfos.push(fileInfo);
       });
+    })
+    .then(function() {
+      var fileInfo = {
+        pathname: fileInfos[0].pathname,
+        preview: fileInfos[0].preview,
+        size: fileInfos[0].size,
+        outputs: fileInfos,
+      };
+      return Promise.each(extraFiles, function(extra) {
+        return addExtraFile(fileInfo, extra);
+      }).then(function() {
+        return fileInfo;
+      });
+    })
+    .then(finishJob)
+    .catch(failJob);
+  };
+
+  var finishJob = function(fileInfo) {
+    if (cancelled) {
+      return;
     }
-  }
+    state = "done";
+    output = fileInfo;
+    currentProcess = undefined;
+    sendCmd("end", fileInfo);
+    cleanup();
+    encoding = false;
+    leaveQueue();
+  };
+
+  var failJob = function(e) {
+    encoding = false;
+    handleFFMpegError(e);
+  };
+
+  /**
+   * Saves the images in the format asked for, numbered from 0, in a
+   * folder for this job. Images that are already right are used as is.
+   * @param {function(number)} progress
+   * @return {Promise<string[]>} the files, one per image
+   */
+  var saveSequenceImages = function(progress) {
+    var source = jobDir.getPath(name + "-%d" + frameFormat.extension);
+    if (frameFormat.extension === sequence.format.extension && !flipY) {
+      var images = [];
+      for (var ii = 0; ii < numImages; ++ii) {
+        images.push(source.replace("%d", ii));
+      }
+      return Promise.resolve(images);
+    }
+    var dir = jobDir.getPath(name + "-sequence");
+    var pattern = path.join(dir, name + "-%06d" + sequence.format.extension);
+    fs.mkdirSync(dir);
+    jobDir.addFile(dir);
+    var args = frameFormats.getInputArgs(frameFormat, {
+      framerate: framerate,
+      width: frameWidth,
+      height: frameHeight,
+      pattern: source,
+    }).concat(["-y"], flipY ? ["-vf", "vflip"] : [], sequence.format.arguments, ["-start_number", "0", pattern]);
+    var runner = new FFMpegRunner(args);
+    currentProcess = runner;
+    return new Promise(function(resolve, reject) {
+      runner.on('frame', function(frameNum) {
+        progress(Math.min(1, frameNum / numImages));
+      });
+      runner.on('error', reject);
+      runner.on('done', function() {
+        var images = [];
+        for (var ii = 0; ii < numImages; ++ii) {
+          images.push(pattern.replace("%06d", ("00000" + ii).substr(-6)));
+        }
+        resolve(images);
+      });
+    });
+  };
+
+  // Puts the frames in an archive instead of making a video. Every
+  // frame has a file, held frames share their image's.
+  var runSequence = function() {
+    var baseName = safeName(downloadName);
+    var extension = "." + sequence.archive;
+    var filename = path.join(options.videoDir, outputName + extension);
+    var padding = Math.max(6, String(count - 1).length);
+    var setProgress = function(p) {
+      progress = p;
+      sendCmd("progress", {
+        progress: progress,
+      });
+    };
+    saveSequenceImages(function(p) {
+      setProgress(p / 2);
+    })
+    .then(function(images) {
+      var entries = [];
+      var imageNum = 0;
+      for (var ii = 0; ii < count; ++ii) {
+        while (imageNum + 1 < numImages && frameNums[imageNum + 1] <= ii) {
+          ++imageNum;
+        }
+        entries.push({
+          name: baseName + "/" + baseName + "." + ("00000000" + ii).substr(-padding) + sequence.format.extension,
+          file: images[imageNum],
+        });
+      }
+      console.log("archiving " + entries.length + " frames to: " + filename);
+      return archive.write(sequence.archive, filename, entries, function(p) {
+        setProgress(0.5 + p / 2);
+      });
+    })
+    .then(function() {
+      if (cancelled) {
+        utils.deleteNoFail(filename);
+        return;
+      }
+      return server.addFile(filename, user, downloadName + extension);
+    })
+    .then(function(fileInfo) {
+      if (fileInfo) {
+        if (user) {
+          user.addDiskUsage(fileInfo.size);
+        }
+        fileInfo.numFrames = count;
+      }
+      return fileInfo;
+    })
+    .then(finishJob)
+    .catch(function(e) {
+      utils.deleteNoFail(filename);
+      failJob(e);
+    });
+  };
+
+  /**
+   * Gets the image for a frame message. Frames either come as
+   * a base64 data URL or, in binary mode, as a Buffer.
+   * @param {Object} data the frame message data
+   * @return {Buffer?} the image or undefined if it's not
+   *     in the format given to `start`.
+   */
+  var getFrameImage = function(data) {
+    var image = data.buffer;
+    if (!image) {
+      var expectedHeader = 'data:' + frameFormat.mimeType + ';base64,';
+      var dataURL = data.dataURL;
+      if (frameFormat.raw || typeof dataURL !== 'string' || dataURL.substr(0, expectedHeader.length) !== expectedHeader) {
+        console.error("bad data URL");
+        sendCmd("error", { msg: "expected " + frameFormat.name + " data URL" });
+        return;
+      }
+      image = Buffer.from(dataURL.substr(expectedHeader.length), 'base64');
+    }
+    var err = frameFormats.validateFrame(frameFormat, image, frameWidth, frameHeight);
+    if (err) {
+      console.error("bad frame: " + err);
+      sendCmd("error", { msg: err });
+      return;
+    }
+    return image;
+  };
+
+  // Checks a frame against the user's limits
+  var checkFrameLimits = function(image) {
+    if (limits.maxFrames !== undefined && count >= limits.maxFrames) {
+      return "too many frames. max " + limits.maxFrames;
+    }
+    var size = frameFormat.raw ? { width: frameWidth, height: frameHeight } : frameFormat.getSize(image);
+    if (size && ((limits.maxWidth !== undefined && size.width > limits.maxWidth) ||
+                 (limits.maxHeight !== undefined && size.height > limits.maxHeight))) {
+      return "frames must be at most " + limits.maxWidth + "x" + limits.maxHeight;
+    }
+    if (!streamEncoder && isOverQuota(image.length)) {
+      return "disk quota exceeded";
+    }
+  };
+
+  // True if saving `bytes` more would put the user over their quota.
+  var isOverQuota = function(bytes) {
+    return limits.maxDiskUsage !== undefined && user.getDiskUsage() + bytes > limits.maxDiskUsage;
+  };
+
+  // Counts bytes saved for the job against the user. They're given
+  // back when the job's files are deleted.
+  var addDiskUsage = function(bytes) {
+    if (user) {
+      user.addDiskUsage(bytes);
+    }
+    diskBytes += bytes;
+  };
+
+  // Stops the video because it went over one of the user's limits
+  var exceedLimit = function(msg) {
+    console.error(name + ": " + msg);
+    stopJob("error");
+    lastError = msg;
+    sendCmd("error", { msg: msg });
+  };
 
-  var EXPECTED_HEADER = 'data:image/png;base64,';
   var handleFrame = function(data) {
+    // Frames that were already on their way when the job was stopped.
+    if (cancelled) {
+      return;
+    }
     if (name === undefined) {
       return sendCmd("error", "video not started");
     }
-    var dataURL = data.dataURL;
-    if (dataURL.substr(0, EXPECTED_HEADER.length) !== EXPECTED_HEADER) {
-      console.error("bad data URL");
+    var image = getFrameImage(data || {});
+    if (!image) {
       return;
     }
+    var limitErr = checkFrameLimits(image);
+    if (limitErr) {
+      exceedLimit(limitErr);
+      return;
+    }
+    if (data.time !== undefined && streamEncoder) {
+      if (count) {
+        sendCmd("error", { msg: "when streaming only the first frame can start sending times", field: "time" });
+        return;
+      }
+      stopStreaming();
+    }
     var frameNum = count++;
-    var filename = path.join(options.frameDir, name + "-" + frameNum + ".png");
+    var time = nextTime;
+    if (data.time !== undefined) {
+      time = data.time;
+      variableRate = true;
+    }
+    nextTime = time + 1 / framerate;
+    if (streamEncoder) {
+      lastImage = image;
+      ++numImages;
+      streamFrame(frameNum, image);
+      return;
+    }
+    if (dedupe) {
+      var hash = crypto.createHash('sha1').update(image).digest('hex');
+      if (hash === lastHash) {
+        // Same as the one before so that's shown for longer instead.
+        variableRate = true;
+        sendCmd("frame", { frameNum: frameNum });
+        return;
+      }
+      lastHash = hash;
+    }
+    var imageNum = numImages++;
+    times[imageNum] = time;
+    frameNums[imageNum] = frameNum;
+    addDiskUsage(image.length);
+    var filename = jobDir.getPath(name + "-" + imageNum + frameFormat.extension);
     debug("write: " + filename);
-    var image = dataURL.substr(EXPECTED_HEADER.length);
     ++numWriting;
-    fs.writeFile(filename, image, 'base64', function(err) {
+    fs.writeFile(filename, image, function(err) {
       --numWriting;
+      if (cancelled) {
+        // The job's folder is already gone or going.
+        utils.deleteNoFail(filename);
+        return;
+      }
       if (err) {
         ++numErrors;
         console.error(err);
       } else {
-        if (!connected) {
-          utils.deleteNoFail(filename);
-          return;
-        }
-        frames.push(filename);
         sendCmd("frame", { frameNum: frameNum })
         console.log('saved frame: ' + filename);
       }
@@ -335,6 +1172,55 @@ function VideoEncoder(client, server, id, options) {
     });
   };
 
+  // The frame is acknowledged once ffmpeg has taken it which
+  // keeps the browser from getting ahead of the encoder.
+  var streamFrame = function(frameNum, image) {
+    ++numWriting;
+    streamEncoder.runner.write(image, function(err) {
+      --numWriting;
+      if (err) {
+        ++numErrors;
+        console.error(err);
+      } else if (connected) {
+        sendCmd("frame", { frameNum: frameNum });
+      }
+      if (numWriting === 0) {
+        checkForEnd();
+      }
+    });
+  };
+
+  // Shows the last frame for `count` more frames without the client
+  // sending it again. When streaming it's given to ffmpeg again,
+  // otherwise nothing is saved, the last image is just shown longer.
+  var handleRepeat = function(data) {
+    if (cancelled) {
+      return;
+    }
+    if (name === undefined) {
+      return sendCmd("error", "video not started");
+    }
+    if (!count) {
+      sendCmd("error", { msg: "no frame to repeat", field: "count" });
+      return;
+    }
+    if (limits.maxFrames !== undefined && count + data.count > limits.maxFrames) {
+      exceedLimit("too many frames. max " + limits.maxFrames);
+      return;
+    }
+    if (streamEncoder) {
+      for (var ii = 0; ii < data.count; ++ii) {
+        ++numImages;
+        streamFrame(count++, lastImage);
+      }
+      return;
+    }
+    count += data.count;
+    nextTime += data.count / framerate;
+    variableRate = true;
+    sendCmd("frame", { frameNum: count - 1 });
+  };
+
   var handleEnd = function(data) {
     if (name === undefined) {
       return sendCmd("error", "video not started");
@@ -343,70 +1229,604 @@ function VideoEncoder(client, server, id, options) {
     checkForEnd();
   };
 
+  // Times for every frame at once, for clients that don't send
+  // them with each frame. Frames it doesn't cover keep theirs.
   var handleTimestamps = function(data) {
-    var filename = path.join(options.frameDir, "ts-" + name + ".txt");
-    console.log("saving timestamp data to " + filename)
-    fs.writeFile(filename, data, function(err) {
-      if(err) {
-          return console.log(err);
+    if (name === undefined) {
+      return sendCmd("error", "video not started");
+    }
+    if (streamEncoder) {
+      return sendCmd("error", { msg: "timestamps can't be used when streaming" });
+    }
+    timecodes = frameTimes.parseTimecodes(data);
+  };
+
+  /**
+   * @typedef {Object} VideoEncoder~AudioTrack
+   * @property {*} id what the client calls it
+   * @property {AudioFormat} format
+   * @property {number} offset seconds into the video it starts
+   * @property {number} volume
+   * @property {string?} filename set once the first chunk arrives
+   * @property {Promise} writing chunks are written one at a time
+   * @property {Object?} pcm for audio recorded in the page, `sampleRate`
+   *           and `channels`. Chunks are 16 bit samples put in a WAV
+   *           at the time they were recorded.
+   */
+
+  var getAudioTrack = function(id) {
+    return audioTracks.filter(function(track) {
+      return track.id === id;
+    })[0];
+  };
+
+  var addAudioTrack = function(id, format, offset, volume) {
+    var track = {
+      id: id,
+      format: format,
+      offset: offset,
+      volume: volume,
+      writing: Promise.resolve(),
+    };
+    audioTracks.push(track);
+    return track;
+  };
+
+  // Writes to an audio track happen one at a time, in order.
+  var writeAudio = function(track, write) {
+    ++numWriting;
+    track.writing = track.writing.then(function() {
+      if (!cancelled) {
+        return write();
+      }
+    }).catch(function(err) {
+      ++numErrors;
+      console.error(err);
+    }).then(function() {
+      --numWriting;
+      if (numWriting === 0) {
+        checkForEnd();
       }
-      console.log(filename + " written successfully");
     });
-  }
+  };
 
-  var handleAudioFile = function(data) {
-    // TODO uniquely identify audio file. determine correct type?
-    var filename = path.join(options.frameDir, name + ".mp3");
-    fs.writeFile(filename, data, {encoding: 'base64'}, function(err) {
-        if(err) {
-            return console.log(err);
-        }
-        console.log(filename + ' written successfully');
+  var setAudioFilename = function(track) {
+    track.filename = jobDir.getPath("audio-" + name + "-" + audioTracks.indexOf(track) + track.format.extension);
+    jobDir.addFile(track.filename);
+  };
+
+  var appendAudio = function(track, buffer) {
+    if (isOverQuota(buffer.length)) {
+      exceedLimit("disk quota exceeded");
+      return;
+    }
+    addDiskUsage(buffer.length);
+    if (!track.filename) {
+      // What the file really is beats what the client said it is.
+      track.format = audioFormats.sniff(buffer) || track.format;
+      setAudioFilename(track);
+    }
+    var filename = track.filename;
+    writeAudio(track, function() {
+      return appendFileP(filename, buffer);
     });
-  }
+  };
+
+  // Puts recorded samples in the WAV at the time they were recorded.
+  // Gaps are silent. Where chunks overlap the later one wins. The
+  // header is rewritten each time so the file is always a valid WAV.
+  var writePCM = function(track, time, buffer) {
+    var pcm = track.pcm;
+    var bytesPerFrame = pcm.channels * 2;
+    var frame = Math.round(time * pcm.sampleRate);
+    if (frame < 0) {
+      buffer = buffer.slice(-frame * bytesPerFrame);
+      frame = 0;
+    }
+    buffer = buffer.slice(0, buffer.length - buffer.length % bytesPerFrame);
+    if (!buffer.length) {
+      return;
+    }
+    var position = frame * bytesPerFrame;
+    var oldSize = track.dataSize || 0;
+    var dataSize = Math.max(oldSize, position + buffer.length);
+    if (dataSize > maxPCMBytes) {
+      sendCmd("error", { msg: "audio track " + track.id + " is too long. max " + maxPCMBytes + " bytes" });
+      return;
+    }
+    // Gaps take space too so the whole new length counts.
+    if (isOverQuota(dataSize - oldSize)) {
+      exceedLimit("disk quota exceeded");
+      return;
+    }
+    addDiskUsage(dataSize - oldSize);
+    var create = !track.filename;
+    if (create) {
+      setAudioFilename(track);
+    }
+    var filename = track.filename;
+    track.dataSize = dataSize;
+    var header = audioFormats.makeWavHeader(track.dataSize, pcm.sampleRate, pcm.channels);
+    writeAudio(track, function() {
+      return openP(filename, create ? 'w+' : 'r+').then(function(fd) {
+        return writeP(fd, buffer, 0, buffer.length, header.length + position).then(function() {
+          return writeP(fd, header, 0, header.length, 0);
+        }).finally(function() {
+          return closeP(fd);
+        });
+      });
+    });
+  };
+
+  // Declares an audio track. Its data follows in `audiochunk` messages.
+  var handleAudio = function(data) {
+    if (name === undefined) {
+      return sendCmd("error", "video not started");
+    }
+    var pcm = data.pcm;
+    if (pcm) {
+      pcm = {
+        sampleRate: pcm.sampleRate,
+        channels: pcm.channels,
+      };
+    }
+    var format = audioFormats.getFormatByMimeType(pcm ? "audio/wav" : data.mimeType);
+    if (!format) {
+      return sendCmd("error", { msg: "unsupported audio type: " + data.mimeType + ". use one of " + audioFormats.getMimeTypes().join(", ") });
+    }
+    if (getAudioTrack(data.id)) {
+      return sendCmd("error", { msg: "audio track " + data.id + " already added" });
+    }
+    if (audioTracks.length >= maxAudioTracks) {
+      return sendCmd("error", { msg: "too many audio tracks. max is " + maxAudioTracks });
+    }
+    var offset = data.offset || 0;
+    var volume = typeof data.volume === 'number' ? data.volume : 1;
+    addAudioTrack(data.id, format, offset, volume).pcm = pcm;
+  };
+
+  // Part of an audio track, either binary or base64 in `data.data`.
+  // Recorded tracks also have `data.time`, seconds since recording started.
+  var handleAudioChunk = function(data) {
+    if (name === undefined) {
+      return sendCmd("error", "video not started");
+    }
+    var track = getAudioTrack(data.id);
+    if (!track) {
+      return sendCmd("error", { msg: "no audio track: " + data.id });
+    }
+    var buffer = data.buffer;
+    if (!buffer) {
+      if (typeof data.data !== 'string') {
+        return sendCmd("error", { msg: "audio chunk has no data" });
+      }
+      buffer = Buffer.from(data.data, 'base64');
+    }
+    if (track.pcm) {
+      // Audio can't be longer than the video is allowed to be.
+      var maxSeconds = limits.maxFrames !== undefined ? limits.maxFrames / framerate : maxPCMSeconds;
+      if (typeof data.time !== 'number' || data.time > maxSeconds) {
+        return sendCmd("error", { msg: "bad audio chunk time: " + data.time });
+      }
+      writePCM(track, data.time, buffer);
+    } else {
+      appendAudio(track, buffer);
+    }
+  };
+
+  // The old way. The whole file as one base64 string.
+  var handleAudioFile = function(data) {
+    if (name === undefined) {
+      return sendCmd("error", "video not started");
+    }
+    var track = addAudioTrack(undefined, audioFormats.getFormatByMimeType("audio/mpeg"), 0, 1);
+    appendAudio(track, Buffer.from(data, 'base64'));
+  };
 
   var handleMeta = function(data) {
-    textoverlay = data.textOverlay.toUpperCase()
-    videoLength = data.videoLength
-    renderWidth = data.renderWidth
-    console.log('Received metadata: text overlay: \'' + textoverlay + '\', video length: ' + videoLength + '\', renderWidth: ' + renderWidth)
-  }
+    data = data || {};
+    if (data.overlays !== undefined) {
+      overlayLayers = data.overlays;
+    }
+    meta = data;
+    console.log('Received metadata: text overlay: \'' + meta.textOverlay + '\', video length: ' + meta.videoLength + '\', renderWidth: ' + meta.renderWidth);
+  };
+
+  // Sent on a new connection by a browser that lost its connection
+  // mid video. Its session moves to the encoder for that video and
+  // this one goes away.
+  var handleResume = function(data) {
+    var other = options.findSession((data || {}).session);
+    if (!other || other === self || name !== undefined || other.getUser() !== user) {
+      sendCmd("error", { msg: "no such session" });
+      return;
+    }
+    debug("" + id + ": resuming " + other.getId());
+    connected = false;
+    detachClient();
+    removeFromEncoders();
+    options.forgetEncoder(self);
+    other.resume(client);
+  };
+
+  var handleAbort = function() {
+    stopJob("aborted");
+    sendCmd("aborted", {});
+  };
+
+  // Settings of `start` a `reencode` can change the outputs with.
+  var outputSettingNames = [
+    "outputs",
+    "extension",
+    "codec",
+    "ffmpegArguments",
+    "preset",
+    "presetParams",
+    "gif",
+    "transparent",
+  ];
+
+  /**
+   * Encodes the kept frames of a video that failed to encode
+   * again, without capturing them again.
+   * @param {Object} data `framerate` and output settings like
+   *        `start`'s. Without output settings the outputs are the
+   *        same as before.
+   * @return {Object?} an error with `msg`, and maybe `field`, if it
+   *         can't be encoded again.
+   */
+  var reencode = function(data) {
+    if (!retryTimer) {
+      return { msg: "no failed video to encode again" };
+    }
+    return encodeAgain(data);
+  };
+
+  // Encodes the frames in `jobDir` again. See `reencode`.
+  var encodeAgain = function(data) {
+    data = data || {};
+    var err = schema.validate(messageSchemas.reencode, data);
+    if (err) {
+      return err;
+    }
+    if (limits.maxJobs !== undefined && options.countJobs(user) >= limits.maxJobs) {
+      return { msg: "too many videos at once. max " + limits.maxJobs };
+    }
+    var newOutputs = outputs;
+    var changesOutputs = outputSettingNames.some(function(key) {
+      return data[key] !== undefined;
+    });
+    if (changesOutputs) {
+      var made = makeOutputs(data);
+      if (made.error) {
+        return made.error;
+      }
+      newOutputs = made.outputs;
+    }
+    clearTimeout(retryTimer);
+    retryTimer = undefined;
+    framerate = data.framerate || framerate;
+    outputs = newOutputs;
+    if (sequence && data.archive) {
+      sequence.archive = data.archive;
+    }
+    name = jobName;
+    state = "queued";
+    progress = 0;
+    output = undefined;
+    lastError = undefined;
+    cancelled = false;
+    ended = true;
+    debug("" + id + ": encoding " + name + " again");
+    checkForEnd();
+    return undefined;
+  };
+
+  /**
+   * Encodes the frames left in the folder of a job that was going
+   * when the server stopped. The settings are the ones it was
+   * started with unless `data` changes them, like `reencode`.
+   * Only for an encoder made without a client.
+   * @param {JobDir} leftover
+   * @param {Object?} data like `reencode`'s
+   * @return {Object?} an error with `msg`, and maybe `field`, if it
+   *         can't be encoded. The folder is left as it was and the
+   *         encoder is dropped.
+   */
+  var recover = function(leftover, data) {
+    var err = recoverJob(leftover, data);
+    if (err) {
+      removeFromEncoders();
+    }
+    return err;
+  };
+
+  var recoverJob = function(leftover, data) {
+    var manifest = leftover.getManifest();
+    var settings = manifest.settings;
+    if (!settings || settings.output === "sequence") {
+      return { msg: "only videos can be encoded again" };
+    }
+    var format = frameFormats.getFormat(settings.frameFormat || "png");
+    var made = makeOutputs(settings);
+    if (!format || made.error) {
+      return { msg: "the job's settings are no longer allowed" };
+    }
+    var imageCount = leftover.countImages();
+    if (!imageCount) {
+      return { msg: "the job has no frames to encode" };
+    }
+    framerate = settings.framerate || 30;
+    frameFormat = format;
+    frameWidth = settings.width;
+    frameHeight = settings.height;
+    flipY = !!settings.flipY;
+    silentAudio = !!settings.silentAudio;
+    overlayLayers = settings.overlays;
+    outputs = made.outputs;
+    jobName = manifest.name;
+    downloadName = settings.name || "untitled";
+    outputName = leftover.getId();
+    numImages = imageCount;
+    count = manifest.frameCount || numImages;
+    // The times are saved once capture ends so a video that
+    // crashed before then is encoded at a constant rate.
+    var imageTimes = manifest.numImages === numImages ? manifest.imageTimes : undefined;
+    variableRate = !!imageTimes;
+    times = imageTimes ? imageTimes.slice(0, -1) : [];
+    nextTime = imageTimes ? imageTimes[imageTimes.length - 1] : 0;
+    frameNums = [];
+    timecodes = undefined;
+    audioTracks = (manifest.audio || []).map(function(audio) {
+      return {
+        filename: leftover.getPath(audio.file),
+        offset: audio.offset,
+        volume: audio.volume,
+      };
+    }).filter(function(track) {
+      return fs.existsSync(track.filename);
+    });
+    jobDir = leftover;
+    var err = encodeAgain(data);
+    if (err) {
+      jobDir = undefined;
+      jobName = undefined;
+      state = "connected";
+    }
+    return err;
+  };
+
+  var handleReencode = function(data) {
+    var err = reencode(data);
+    if (err) {
+      sendCmd("error", err);
+    }
+  };
 
   var messageHandlers = {
     start: handleStart,
     frame: handleFrame,
+    repeat: handleRepeat,
     end: handleEnd,
     timestamps: handleTimestamps,
     audiofile: handleAudioFile,
-    meta: handleMeta
+    audio: handleAudio,
+    audiochunk: handleAudioChunk,
+    meta: handleMeta,
+    abort: handleAbort,
+    resume: handleResume,
+    reencode: handleReencode,
   };
 
+  // A message sent with `binary: true` is a header for the binary
+  // message that follows it. The payload is attached as `data.buffer`.
+  var pendingBinaryHeader;
+
   var onMessage = function(message) {
+    if (Buffer.isBuffer(message)) {
+      var buffer = message;
+      if (!pendingBinaryHeader) {
+        console.error("binary message without header");
+        return;
+      }
+      message = pendingBinaryHeader;
+      pendingBinaryHeader = undefined;
+      message.data = message.data || {};
+      message.data.buffer = buffer;
+    } else if (message.binary) {
+      pendingBinaryHeader = message;
+      return;
+    }
+
     var cmd = message.cmd;
-    var handler = messageHandlers[cmd];
+    // Counted even if they're bad so the count matches the client's
+    // when it asks what to send again after a reconnect.
+    if (cmd === "audio" || cmd === "audiochunk") {
+      ++numAudioMessages;
+    }
+    var handler = Object.prototype.hasOwnProperty.call(messageHandlers, cmd) ? messageHandlers[cmd] : undefined;
     if (!handler) {
       console.error("unknown message: " + cmd);
       return;
     }
 
+    var messageSchema = messageSchemas[cmd];
+    if (messageSchema) {
+      var err = schema.validate(messageSchema, message.data);
+      if (err) {
+        console.error("bad " + cmd + " message: " + err.msg);
+        sendCmd("error", { msg: err.msg, field: err.field });
+        return;
+      }
+    }
+
     handler(message.data);
   };
 
   /**
-   * Disconnect this player. Drop their WebSocket connection.
+   * Stops capturing or encoding, kills any processes running
+   * for the job and deletes the files made so far.
+   * @param {string} newState state to leave the job in.
+   * @return {boolean} false if there was nothing to stop.
    */
-  var disconnect = function() {
-    connected = false;
-    var ndx = encoders.indexOf(self);
-    encoders.splice(ndx, 1);
+  var stopJob = function(newState) {
+    if (name === undefined || state === "done") {
+      return false;
+    }
+    debug("" + id + ": " + newState + " " + name);
+    cancelled = true;
+    if (streamEncoder) {
+      streamEncoder.runner.kill();
+      streamEncoder = undefined;
+    }
+    if (currentProcess) {
+      currentProcess.kill();
+      currentProcess = undefined;
+    }
+    leaveQueue();
+    state = newState;
+    cleanup();
+    ended = false;
+    encoding = false;
+    name = undefined;
+    return true;
+  };
+
+  /**
+   * Cancels the job from outside, like the REST API. A video that
+   * failed has its kept frames deleted.
+   * @return {boolean} false if there was nothing to cancel.
+   */
+  var cancel = function() {
+    if (retryTimer) {
+      discardKeptFrames();
+      return true;
+    }
+    if (!stopJob("cancelled")) {
+      return false;
+    }
+    if (connected) {
+      sendCmd("error", { msg: "job cancelled" });
+    }
+    return true;
+  };
+
+  /**
+   * Called when the server exits. Kills the job's ffmpeg. A job
+   * that isn't finished, or failed and is kept to be encoded again,
+   * keeps its folder and manifest so it can be picked up after a
+   * restart. Anything else is cleaned up.
+   */
+  var shutdown = function() {
+    cancelled = true;
+    if (streamEncoder) {
+      streamEncoder.runner.kill();
+      streamEncoder = undefined;
+    }
+    if (currentProcess) {
+      currentProcess.kill();
+      currentProcess = undefined;
+    }
+    if (isWorking() || retryTimer) {
+      return;
+    }
     cleanup();
+  };
+
+  var isWorking = function() {
+    return state === "capturing" || state === "queued" || state === "encoding";
+  };
+
+  var removeFromEncoders = function() {
+    var ndx = encoders.indexOf(self);
+    if (ndx >= 0) {
+      encoders.splice(ndx, 1);
+    }
+  };
+
+  var detachClient = function() {
     client.on('message', undefined);
     client.on('disconnect', undefined);
     client.on('error', undefined);
+  };
+
+  var attachClient = function(newClient) {
+    client = newClient;
+    connected = true;
+    client.on('message', onMessage);
+    client.on('disconnect', onDisconnect);
+    client.on('error', onError);
+  };
+
+  /**
+   * Called when the browser didn't come back in time. A video
+   * that was still capturing is thrown away. One that was ended
+   * is left to finish encoding.
+   */
+  var expire = function() {
+    debug("" + id + ": session expired");
+    sessionTimer = undefined;
+    session = undefined;
+    if (!ended) {
+      stopJob("disconnected");
+    }
+    removeFromEncoders();
+  };
+
+  /**
+   * Disconnect this player. Drop their WebSocket connection.
+   * If they were in the middle of a video they have
+   * `sessionGracePeriod` milliseconds to come back and resume.
+   */
+  var disconnect = function() {
+    if (!connected) {
+      return;
+    }
+    connected = false;
+    detachClient();
     try {
       client.close();
     } catch(e) {
     }
+    if (session && isWorking() && options.sessionGracePeriod > 0) {
+      debug("" + id + ": waiting " + options.sessionGracePeriod + "ms for " + name + " to resume");
+      sessionTimer = setTimeout(expire, options.sessionGracePeriod);
+    } else {
+      expire();
+    }
+  };
+
+  /**
+   * Hands this encoder a new connection for its session. The
+   * browser is told which frame to send next.
+   * @param {!Client} newClient
+   */
+  var resume = function(newClient) {
+    if (sessionTimer) {
+      clearTimeout(sessionTimer);
+      sessionTimer = undefined;
+    }
+    if (connected) {
+      // The old connection is dead. We just haven't noticed yet.
+      detachClient();
+      try {
+        client.close();
+      } catch(e) {
+      }
+    }
+    attachClient(newClient);
+    debug("" + id + ": resumed " + jobName + " at frame " + count);
+    sendCmd("resumed", {
+      session: session,
+      nextFrame: count,
+      nextAudio: numAudioMessages,
+      ended: ended,
+    });
+    if (state === "done") {
+      sendCmd("end", output);
+    } else if (!isWorking()) {
+      sendCmd("error", { msg: lastError || "video " + state });
+    }
   };
 
   /**
@@ -414,6 +1834,9 @@ function VideoEncoder(client, server, id, options) {
    * @param {object} msg data to send.
    */
   var send = function(msg) {
+    if (!connected) {
+      return;
+    }
     //debug("send:" + JSON.stringify(msg));
     //debug((new Error()).stack);
     try {
@@ -440,12 +1863,91 @@ function VideoEncoder(client, server, id, options) {
     disconnect();
   };
 
-  client.on('message', onMessage);
-  client.on('disconnect', onDisconnect);
-  client.on('error', onError);
-  sendCmd("start", {});
+  if (client) {
+    attachClient(client);
+    sendCmd("start", {});
+  } else {
+    connected = false;
+  }
+
+  /**
+   * @typedef {Object} VideoEncoder~Status
+   * @property {number} id
+   * @property {string?} name base name of the video
+   * @property {string} state "connected", "capturing", "queued",
+   *           "encoding", "done", "error", "cancelled", "aborted" or
+   *           "disconnected"
+   * @property {boolean} connected
+   * @property {number} frameCount frames received
+   * @property {number} progress encoding progress from 0 to 1
+   * @property {number} queuePosition position in the job queue, 0 if not waiting
+   * @property {Object?} output the file once done
+   * @property {string?} error what went wrong if state is "error"
+   * @property {boolean} canReencode true if it failed and its frames
+   *           are kept so it can be encoded again
+   */
+
+  /**
+   * @return {VideoEncoder~Status}
+   */
+  this.getStatus = function() {
+    return {
+      id: id,
+      name: jobName,
+      state: state,
+      connected: connected,
+      frameCount: count,
+      progress: progress,
+      queuePosition: queueJob ? options.jobQueue.getPosition(queueJob) : 0,
+      output: output,
+      error: lastError,
+      canReencode: retryTimer !== undefined,
+    };
+  };
+
+  this.getId = function() {
+    return id;
+  };
+
+  /**
+   * @return {User?} who's using this encoder if the server checks keys
+   */
+  this.getUser = function() {
+    return user;
+  };
+
+  this.isWorking = isWorking;
+
+  /**
+   * @return {string?} the token the browser can resume with.
+   */
+  this.getSession = function() {
+    return session;
+  };
+
+  /**
+   * @return {boolean} true if connected or still has work to do
+   */
+  this.isActive = function() {
+    return connected || sessionTimer !== undefined || retryTimer !== undefined ||
+        state === "queued" || state === "encoding";
+  };
+
+  this.cancel = cancel;
+  this.reencode = reencode;
+  this.recover = recover;
+
+  /**
+   * @return {boolean} true if the video failed to encode and its
+   *         frames are kept so it can be encoded again.
+   */
+  this.canReencode = function() {
+    return retryTimer !== undefined;
+  };
 
+  this.resume = resume;
   this.cleanup = cleanup;
+  this.shutdown = shutdown;
   encoders.push(this);
 
 };
@@ -31,11 +31,15 @@
 
 'use strict';
 
+var Auth    = require('./auth');
 var debug   = require('debug')('video-server');
 var events  = require('events');
 var express = require('express');
+var FileRegistry = require('./file-registry');
+var frameFormats = require('../lib/frame-formats');
 var fs      = require('fs');
 var http    = require('http');
+var media   = require('./media');
 var path    = require('path');
 var Promise = require('bluebird');
 var url     = require('url');
@@ -54,7 +58,6 @@ var VideoServer = function(options, startedCallback) {
     port: 8080,
     baseDir: 'public',
     cwd: process.cwd(),
-    files: {},
   };
 
   Object.keys(options).forEach(function(prop) {
@@ -62,32 +65,309 @@ var VideoServer = function(options, startedCallback) {
   });
 
   var app = express();
+  var auth = options.keys ? new Auth(options.keys) : undefined;
+
+  // Seconds the link to a finished video works for when keys are checked
+  var downloadTokenLife = 24 * 60 * 60;
+
+  var files = new FileRegistry({
+    dir: options.videoDir || g.cwd,
+    ttl: options.fileTtl,
+    maxTotalSize: options.maxVideoDirSize,
+    oneTimeDownloads: options.oneTimeDownloads,
+    onRemove: function(id, entry) {
+      var user = auth && entry.user ? auth.getUser(entry.user) : undefined;
+      if (user) {
+        user.addDiskUsage(-entry.size);
+      }
+    },
+  });
+  if (auth) {
+    var existingFiles = files.getFiles();
+    Object.keys(existingFiles).forEach(function(id) {
+      var entry = existingFiles[id];
+      var user = entry.user ? auth.getUser(entry.user) : undefined;
+      if (user) {
+        user.addDiskUsage(entry.size);
+      }
+    });
+  }
 
   var handleOPTIONS = function(req, res) {
     res.removeHeader('Content-Type');
     res.writeHead(200, {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
-      'Access-Control-Allow-Headers': 'X-Requested-With, X-HTTP-Method-Override, Content-Type, Accept',
+      'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS',
+      'Access-Control-Allow-Headers': 'X-Requested-With, X-HTTP-Method-Override, Content-Type, Accept, Authorization',
       'Access-Control-Allow-Credentials': false,
       'Access-Control-Max-Age': 86400,
     });
     res.end('{}');
   };
 
+  /**
+   * Finds who made a request. If keys are checked and there's
+   * no good key or token it sends a 401.
+   * @return {User|null|undefined} the user, null if keys aren't checked
+   *         or undefined if the request was refused
+   */
+  var authenticate = function(req, res) {
+    if (!auth) {
+      return null;
+    }
+    var user = auth.authenticate(req);
+    if (!user) {
+      debug("unauthorized: " + req.url);
+      sendJSON(res, 401, { msg: 'a key or token is required' });
+    }
+    return user;
+  };
+
+  // Gets the file a request is for or sends a 404. The links the
+  // server hands out have a token for just that file.
+  var getFileOr404 = function(req, res, fileId) {
+    var user = auth ? auth.checkFileToken(url.parse(req.url, true).query.token, fileId) : undefined;
+    if (!user) {
+      user = authenticate(req, res);
+      if (user === undefined) {
+        return;
+      }
+    }
+    var fileInfo = files.get(fileId);
+    if (!fileInfo || (user && fileInfo.user !== user.name)) {
+      debug("no such fileId: " + fileId);
+      res.statusCode = 404;
+      res.end('no file: ' + fileId);
+      return;
+    }
+    return fileInfo;
+  };
+
+  // Serves a finished video. `?download=1` asks the browser to save it.
+  // Express handles ranges, ETags and If-None-Match.
   var handleDownload = function(req, res) {
     var fileId = req.params[0];
-    var fileInfo = g.files[fileId];
+    var fileInfo = getFileOr404(req, res, fileId);
     if (!fileInfo) {
-      debug("no such fileId: " + fileId);
-      return res.status(404).send('no file: ' + fileId);
+      return;
     }
     debug("download: " + fileInfo.path);
-    setTimeout(function() {
-      res.sendFile(fileInfo.path);
-    }, 1);
+    var query = url.parse(req.url, true).query;
+    res.setHeader('Content-Type', media.getContentType(fileInfo.path));
+    res.setHeader('Content-Disposition', media.contentDisposition(
+        query.download ? 'attachment' : 'inline', fileInfo.name || fileId));
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.sendFile(fileInfo.path, {
+      acceptRanges: true,
+      etag: true,
+      lastModified: true,
+    }, function(err) {
+      if (err) {
+        debug("download failed: " + err);
+      } else if (req.method === 'GET' && res.statusCode === 200) {
+        // Only a whole file counts. Not a range a video element asked for.
+        files.downloaded(fileId);
+      }
+    });
+  };
+
+  // A page to watch a finished video without downloading it first
+  var handlePreview = function(req, res) {
+    var fileId = req.params.id;
+    var fileInfo = getFileOr404(req, res, fileId);
+    if (!fileInfo) {
+      return;
+    }
+    var mediaUrl = "/frameencoder/downloads/" + encodeURIComponent(fileId) + (url.parse(req.url).search || '');
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end(media.makePreviewPage(fileInfo.name || fileId, mediaUrl, media.getContentType(fileInfo.path)));
+  };
+
+  var sendJSON = function(res, status, obj) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.end(JSON.stringify(obj));
+  };
+
+  // The jobs a request can see. Everything unless keys are checked.
+  var getEncoders = function(user) {
+    return socketServer.getEncoders().filter(function(encoder) {
+      return !user || encoder.getUser() === user;
+    });
+  };
+
+  var getEncoderOr404 = function(req, res) {
+    var user = authenticate(req, res);
+    if (user === undefined) {
+      return;
+    }
+    var encoder = socketServer.getEncoder(req.params.id);
+    if (encoder && user && encoder.getUser() !== user) {
+      encoder = undefined;
+    }
+    if (!encoder) {
+      debug("no such job: " + req.params.id);
+      sendJSON(res, 404, { msg: 'no job: ' + req.params.id });
+    }
+    return encoder;
+  };
+
+  var handleListJobs = function(req, res) {
+    var user = authenticate(req, res);
+    if (user === undefined) {
+      return;
+    }
+    sendJSON(res, 200, {
+      jobs: getEncoders(user).map(function(encoder) {
+        return encoder.getStatus();
+      }),
+    });
+  };
+
+  var handleGetJob = function(req, res) {
+    var encoder = getEncoderOr404(req, res);
+    if (encoder) {
+      sendJSON(res, 200, encoder.getStatus());
+    }
+  };
+
+  var handleCancelJob = function(req, res) {
+    var encoder = getEncoderOr404(req, res);
+    if (encoder) {
+      if (!encoder.cancel()) {
+        return sendJSON(res, 409, { msg: 'job can not be cancelled', status: encoder.getStatus() });
+      }
+      sendJSON(res, 200, encoder.getStatus());
+    }
+  };
+
+  // Kept folders of jobs that were unfinished when the server last
+  // stopped. Each user only sees their own.
+  var getLeftovers = function(user) {
+    return socketServer.getLeftovers().filter(function(jobDir) {
+      return !user || jobDir.getManifest().user === user.name;
+    });
+  };
+
+  var handleListLeftovers = function(req, res) {
+    var user = authenticate(req, res);
+    if (user === undefined) {
+      return;
+    }
+    sendJSON(res, 200, {
+      leftovers: getLeftovers(user).map(function(jobDir) {
+        return jobDir.getStatus();
+      }),
+    });
+  };
+
+  var handleDeleteLeftover = function(req, res) {
+    var user = authenticate(req, res);
+    if (user === undefined) {
+      return;
+    }
+    var found = getLeftovers(user).some(function(jobDir) {
+      return jobDir.getId() === req.params.id;
+    });
+    if (!found) {
+      return sendJSON(res, 404, { msg: 'no unfinished job: ' + req.params.id });
+    }
+    socketServer.removeLeftover(req.params.id);
+    sendJSON(res, 200, {});
+  };
+
+  // Largest request body read, in bytes
+  var maxBodySize = 1024 * 1024;
+
+  // Reads a request's JSON body. Calls back with undefined if it's
+  // not JSON or too big. An empty body is `{}`.
+  var readJSON = function(req, callback) {
+    var chunks = [];
+    var size = 0;
+    req.on('data', function(chunk) {
+      size += chunk.length;
+      if (size <= maxBodySize) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      }
+    });
+    req.on('end', function() {
+      var data;
+      if (size <= maxBodySize) {
+        var text = Buffer.concat(chunks).toString('utf8');
+        try {
+          data = text ? JSON.parse(text) : {};
+        } catch (e) {
+          debug("bad JSON: " + e);
+        }
+      }
+      callback(data);
+    });
+  };
+
+  var handleReencodeJob = function(req, res) {
+    var encoder = getEncoderOr404(req, res);
+    if (!encoder) {
+      return;
+    }
+    if (!encoder.canReencode()) {
+      return sendJSON(res, 409, { msg: 'job has no kept frames to encode again', status: encoder.getStatus() });
+    }
+    readJSON(req, function(data) {
+      if (data === undefined) {
+        return sendJSON(res, 400, { msg: 'body must be JSON' });
+      }
+      var err = encoder.reencode(data);
+      if (err) {
+        return sendJSON(res, 400, err);
+      }
+      sendJSON(res, 200, encoder.getStatus());
+    });
+  };
+
+  // Encodes a kept folder's frames as a new job. Its settings can be
+  // changed like a reencode's.
+  var handleRecoverLeftover = function(req, res) {
+    var user = authenticate(req, res);
+    if (user === undefined) {
+      return;
+    }
+    var found = getLeftovers(user).some(function(jobDir) {
+      return jobDir.getId() === req.params.id;
+    });
+    if (!found) {
+      return sendJSON(res, 404, { msg: 'no unfinished job: ' + req.params.id });
+    }
+    readJSON(req, function(data) {
+      if (data === undefined) {
+        return sendJSON(res, 400, { msg: 'body must be JSON' });
+      }
+      var recovered = socketServer.recoverLeftover(req.params.id, user || undefined, data);
+      if (recovered.error) {
+        return sendJSON(res, 400, recovered.error);
+      }
+      sendJSON(res, 200, recovered.encoder.getStatus());
+    });
   };
 
+  var handleListPresets = function(req, res) {
+    if (authenticate(req, res) === undefined) {
+      return;
+    }
+    sendJSON(res, 200, {
+      presets: socketServer.getPresets().list(),
+    });
+  };
+
+  app.get('/api/v1/presets', handleListPresets);
+  app.get('/api/v1/jobs', handleListJobs);
+  app.get('/api/v1/jobs/:id', handleGetJob);
+  app.delete('/api/v1/jobs/:id', handleCancelJob);
+  app.post('/api/v1/jobs/:id/reencode', handleReencodeJob);
+  app.get('/api/v1/leftovers', handleListLeftovers);
+  app.delete('/api/v1/leftovers/:id', handleDeleteLeftover);
+  app.post('/api/v1/leftovers/:id/reencode', handleRecoverLeftover);
 //  app.use(/^\/api\/v0\/uploadFile\//, busboy());
 //  app.post(/^\/api\/v0\/uploadFile\//, addUploadedFile);
 //  app.post(/.*/, bodyParser);
@@ -96,6 +376,7 @@ var VideoServer = function(options, startedCallback) {
 //    res.end("frameencoder");
 //  });
   app.get(/^\/frameencoder\/downloads\/(.*?)$/, handleDownload);
+  app.get('/preview/:id', handlePreview);
   app.options(/.*/, handleOPTIONS);
   app.use('/ffmpegserver', express.static(path.join(__dirname, '..', 'dist')));
   app.use(express.static(g.baseDir));
@@ -114,13 +395,23 @@ var VideoServer = function(options, startedCallback) {
       videoDir: options.videoDir,
       frameDir: options.frameDir,
       keepFrames: options.keepFrames,
+      keepCrashedJobs: options.keepCrashedJobs,
       allowArbitraryFfmpegArguments: options.allowArbitraryFfmpegArguments,
+      pipeline: options.pipeline,
+      presets: options.presets,
+      maxConcurrentEncodes: options.maxConcurrentEncodes,
+      sessionGracePeriod: options.sessionGracePeriod,
+      failedJobGracePeriod: options.failedJobGracePeriod,
+      auth: auth,
     });
     socketServer.setVideoServer(self);
     console.log("Listening on port:", g.port);
-    if (startedCallback) {
-      startedCallback();
-    }
+    // Sequence formats ffmpeg can't make are refused until this finds them.
+    frameFormats.checkSequenceFormats().then(function() {
+      if (startedCallback) {
+        startedCallback();
+      }
+    });
   };
 
   function tryToStartServer() {
@@ -136,6 +427,7 @@ var VideoServer = function(options, startedCallback) {
    * @todo make it no-op after it's closed?
    */
   this.close = function() {
+    files.close();
     socketServer.close();
     server.close();
   };
@@ -163,16 +455,33 @@ var VideoServer = function(options, startedCallback) {
     return app;
   };
 
-  this.addFile = function(filename) {
+  /**
+   * Makes a file downloadable.
+   * @param {string} filename
+   * @param {User?} user who made it. If keys are checked only they can
+   *        download it and the pathname has a token for just this file.
+   * @param {string?} downloadName what to call the file when it's downloaded.
+   *        Default the file's own name.
+   * @return {Promise<{pathname: string, preview: string, size: number}>}
+   *         `preview` is the pathname of a page that shows the video.
+   */
+  this.addFile = function(filename, user, downloadName) {
     var basename = path.basename(filename);
-    var pathname = "/frameencoder/downloads/" + basename;
-    g.files[basename] = {
-      path: filename,
-    };
+    var query = "";
+    if (auth && user) {
+      query = "?token=" + encodeURIComponent(auth.makeFileToken(user, basename, downloadTokenLife));
+    }
     return statP(filename)
     .then(function(stat) {
+      files.add(basename, {
+        path: filename,
+        size: stat.size,
+        user: user ? user.name : undefined,
+        name: downloadName,
+      });
       return {
-        pathname: pathname,
+        pathname: "/frameencoder/downloads/" + basename + query,
+        preview: "/preview/" + basename + query,
         size: stat.size,
       };
     })
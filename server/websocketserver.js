@@ -33,11 +33,25 @@
 
 var debug        = require('debug')('websocketserver');
 
-var WSServer = function(server) {
+/**
+ * @constructor
+ * @param {HTTPServer} server
+ * @param {Object?} options
+ * @param {Auth?} options.auth if set connections without a
+ *        good key or token are refused.
+ */
+var WSServer = function(server, options) {
   debug('Using WebSockets directly');
+  options = options || {};
+  var auth = options.auth;
 
   var WebSocketServer = require('ws').Server;
-  var wss = new WebSocketServer({server: server});
+  var wss = new WebSocketServer({
+    server: server,
+    verifyClient: auth ? function(info) {
+      return auth.authenticate(info.req) !== undefined;
+    } : undefined,
+  });
 
   var WSClient = function(client) {
     this.client = client;
@@ -79,10 +93,12 @@ var WSServer = function(server) {
 
       if (eventName === 'message') {
         fn = function(origFn) {
-          return function(data) {
+          return function(data, flags) {
             if (origFn) {
               try {
-                origFn(JSON.parse(data));
+                // Binary messages are passed through untouched as a Buffer.
+                var isBinary = flags === true || !!(flags && flags.binary);
+                origFn(isBinary ? data : JSON.parse(data));
               } catch (e) {
                 console.error(e);
               }
@@ -105,8 +121,11 @@ var WSServer = function(server) {
 
   this.on = function(eventName, fn) {
     if (eventName === 'connection') {
-      wss.on(eventName, function(client) {
+      wss.on(eventName, function(client, req) {
         var wrapper = new WSClient(client);
+        if (auth) {
+          wrapper.user = auth.authenticate(req || client.upgradeReq);
+        }
         fn(wrapper);
       });
     } else {
@@ -0,0 +1,243 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF2 LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+define(function() {
+  "use strict";
+
+  // Runs in the audio thread. Collects `bufferSize` frames of
+  // each channel and posts them to the page.
+  var workletSource = [
+    'class FFMpegServerPCMTap extends AudioWorkletProcessor {',
+    '  constructor(options) {',
+    '    super();',
+    '    this.bufferSize = options.processorOptions.bufferSize;',
+    '    this.channels = options.processorOptions.channels;',
+    '    this.reset();',
+    '  }',
+    '  reset() {',
+    '    this.buffers = [];',
+    '    for (var ii = 0; ii < this.channels; ++ii) {',
+    '      this.buffers.push(new Float32Array(this.bufferSize));',
+    '    }',
+    '    this.used = 0;',
+    '  }',
+    '  process(inputs) {',
+    '    var input = inputs[0];',
+    '    var length = input.length ? input[0].length : 128;',
+    '    for (var ii = 0; ii < this.channels; ++ii) {',
+    '      var src = input[Math.min(ii, input.length - 1)];',
+    '      if (src) {',
+    '        this.buffers[ii].set(src, this.used);',
+    '      }',
+    '    }',
+    '    this.used += length;',
+    '    if (this.used >= this.bufferSize) {',
+    '      this.port.postMessage(this.buffers);',
+    '      this.reset();',
+    '    }',
+    '    return true;',
+    '  }',
+    '}',
+    'registerProcessor("ffmpegserver-pcm-tap", FFMpegServerPCMTap);',
+  ].join('\n');
+
+  /**
+   * Records what an AudioNode plays and sends it to the server
+   * to be put in the video.
+   *
+   * Chunks are sent back to back. The time they're put at in the video
+   * comes from `Date.now`, which CCapture fakes while capturing. When
+   * capturing runs slower than real time the audio gets ahead of that
+   * clock, so the AudioContext is suspended until capturing catches up.
+   * That pauses everything else on the context too. When capturing runs
+   * faster than real time the audio falls behind and the gap is left
+   * silent. Call `start` when capturing starts.
+   *
+   * @constructor
+   * @param {FFMpegServer} ffmpegServer must already have been started.
+   * @param {AudioNode} node the node to record. Usually the one you'd
+   *        otherwise connect to `context.destination`.
+   * @param {Object} [options]
+   * @param {number} [options.channels] default 2
+   * @param {number} [options.bufferSize] frames per chunk. default 4096
+   * @param {number} [options.offset] seconds into the video the recording starts.
+   * @param {number} [options.volume] default 1
+   * @param {function(): number} [options.getTime] gets the time in seconds.
+   *        default uses `Date.now`.
+   */
+  function AudioRecorder(ffmpegServer, node, options) {
+    options = options || {};
+    var _context = node.context;
+    var _channels = options.channels || 2;
+    var _bufferSize = options.bufferSize || 4096;
+    var _getTime = options.getTime || function() {
+      // Not saved ahead of time because CCapture replaces it.
+      return Date.now() / 1000;
+    };
+    var _startTime;
+    var _trackId;
+    var _recorder;
+    var _recording = false;
+    var _endTime = 0;     // where the last chunk sent ends in the video
+    var _suspended = false;
+    var _paceTimer;
+
+    var getCaptureTime_ = function() {
+      return _getTime() - _startTime;
+    };
+
+    // Suspends the context while the audio is more than a chunk ahead of
+    // the capture clock and resumes it once the clock catches up. The
+    // timer is faked by CCapture too so it runs as frames are captured.
+    var keepPace_ = function() {
+      var ahead = _endTime - getCaptureTime_();
+      if (!_suspended && ahead > _bufferSize / _context.sampleRate) {
+        _suspended = true;
+        _context.suspend();
+      } else if (_suspended && ahead <= 0) {
+        _suspended = false;
+        _context.resume();
+      }
+    };
+
+    // A chunk goes right after the last one unless the capture clock
+    // has moved past that, in which case it goes where the clock says
+    // it ended.
+    var send_ = function(channelData) {
+      if (!_recording) {
+        return;
+      }
+      var numFrames = channelData[0].length;
+      var duration = numFrames / _context.sampleRate;
+      var time = Math.max(_endTime, getCaptureTime_() - duration);
+      _endTime = time + duration;
+      var samples = new Int16Array(numFrames * _channels);
+      for (var ii = 0; ii < numFrames; ++ii) {
+        for (var cc = 0; cc < _channels; ++cc) {
+          var v = Math.max(-1, Math.min(1, channelData[cc][ii]));
+          samples[ii * _channels + cc] = v < 0 ? v * 0x8000 : v * 0x7FFF;
+        }
+      }
+      ffmpegServer.addPCM(_trackId, time, samples.buffer);
+      keepPace_();
+    };
+
+    var startWorklet_ = function() {
+      var url = URL.createObjectURL(new Blob([workletSource], { type: "application/javascript" }));
+      _context.audioWorklet.addModule(url).then(function() {
+        URL.revokeObjectURL(url);
+        if (!_recording) {
+          return;
+        }
+        var tap = new AudioWorkletNode(_context, "ffmpegserver-pcm-tap", {
+          numberOfInputs: 1,
+          numberOfOutputs: 1,
+          channelCount: _channels,
+          channelCountMode: "explicit",
+          processorOptions: {
+            bufferSize: _bufferSize,
+            channels: _channels,
+          },
+        });
+        tap.port.onmessage = function(event) {
+          send_(event.data);
+        };
+        node.connect(tap);
+        // It only runs if something pulls on it. It outputs silence.
+        tap.connect(_context.destination);
+        _recorder = tap;
+      }).catch(function(e) {
+        console.error("could not start AudioWorklet, using ScriptProcessor", e);
+        startScriptProcessor_();
+      });
+    };
+
+    var startScriptProcessor_ = function() {
+      var processor = _context.createScriptProcessor(_bufferSize, _channels, _channels);
+      processor.onaudioprocess = function(event) {
+        var input = event.inputBuffer;
+        var channelData = [];
+        for (var ii = 0; ii < _channels; ++ii) {
+          channelData.push(input.getChannelData(Math.min(ii, input.numberOfChannels - 1)));
+        }
+        send_(channelData);
+      };
+      node.connect(processor);
+      // It only runs if something pulls on it. It outputs silence.
+      processor.connect(_context.destination);
+      _recorder = processor;
+    };
+
+    /**
+     * Starts recording.
+     */
+    this.start = function() {
+      _startTime = _getTime();
+      _endTime = 0;
+      _recording = true;
+      _trackId = ffmpegServer.addPCMTrack({
+        sampleRate: _context.sampleRate,
+        channels: _channels,
+        offset: options.offset,
+        volume: options.volume,
+      });
+      if (_context.audioWorklet && window.AudioWorkletNode) {
+        startWorklet_();
+      } else {
+        startScriptProcessor_();
+      }
+      _paceTimer = setInterval(keepPace_, _bufferSize / _context.sampleRate * 500);
+    };
+
+    /**
+     * Stops recording. Call before `FFMpegServer.end`.
+     */
+    this.stop = function() {
+      _recording = false;
+      clearInterval(_paceTimer);
+      if (_suspended) {
+        _suspended = false;
+        _context.resume();
+      }
+      if (_recorder) {
+        node.disconnect(_recorder);
+        _recorder.disconnect();
+        if (_recorder.port) {
+          _recorder.port.onmessage = null;
+        } else {
+          _recorder.onaudioprocess = null;
+        }
+        _recorder = undefined;
+      }
+    };
+  }
+
+  return AudioRecorder;
+});
@@ -40,6 +40,12 @@ define([
 
     settings = settings || {};
     settings.url = settings.url || getWebSocketURL();
+    // WebSockets can't send headers so the key or token goes in the url
+    if (settings.key || settings.token) {
+      settings.url += (settings.url.indexOf("?") >= 0 ? "&" : "?") +
+          (settings.token ? "token=" + encodeURIComponent(settings.token)
+                          : "key=" + encodeURIComponent(settings.key));
+    }
 
     var _frameEncoder = new FrameEncoder(settings);
     var _highestFrameSubmitted = 0;
@@ -90,15 +96,65 @@ define([
       _settings = settings || {};
     };
 
-    this.add = function(canvas) {
+    /**
+     * Adds a frame. See `FrameEncoder.add`
+     * @param {HTMLCanvasElement} canvas
+     * @param {number} [time] seconds since the first frame
+     */
+    this.add = function(canvas, time) {
       ++_highestFrameSubmitted;
-      _frameEncoder.add(canvas);
+      _frameEncoder.add(canvas, time);
     }
 
+    /**
+     * Shows the last frame for `count` more frames without
+     * sending it again. See `FrameEncoder.repeatLastFrame`
+     * @param {number} count
+     */
+    this.repeatLastFrame = function(count) {
+      _highestFrameSubmitted += count;
+      _frameEncoder.repeatLastFrame(count);
+    };
+
+    /**
+     * Adds an audio track. See `FrameEncoder.addAudio`
+     * @param {(ArrayBuffer|ArrayBufferView|Blob)} data
+     * @param {Object} [options] mimeType, offset and volume
+     */
+    this.addAudio = function(data, options) {
+      _frameEncoder.addAudio(data, options);
+    };
+
+    this.addPCMTrack = function(settings) {
+      return _frameEncoder.addPCMTrack(settings);
+    };
+
+    this.addPCM = function(id, time, samples) {
+      _frameEncoder.addPCM(id, time, samples);
+    };
+
     this.end = function() {
       _frameEncoder.end();
     };
 
+    /**
+     * Encodes a video that failed to encode again with new
+     * settings. See `FrameEncoder.reencode`
+     * @param {Object} [settings]
+     */
+    this.reencode = function(settings) {
+      _frameEncoder.reencode(settings);
+    };
+
+    /**
+     * Stops the current video. The server kills any ffmpeg it
+     * is running for it, deletes its files and then emits `aborted`.
+     */
+    this.abort = function() {
+      _highestFrameAcknowledged = _highestFrameSubmitted;
+      _frameEncoder.abort();
+    };
+
     this.on = function(event, handler) {
        _handlers[event] = handler;
     };
@@ -139,8 +195,30 @@ define([
       _emit('progress', data.progress);
     }
 
+    function _handleQueued(data) {
+      _emit('queued', data.position, data.state);
+    }
+
+    function _handleDisconnect() {
+      _connected = false;
+      _emit('disconnect');
+    }
+
+    // After a lost connection comes back. The server has every
+    // frame before `nextFrame`.
+    function _handleResumed(data) {
+      _connected = true;
+      _highestFrameAcknowledged = Math.max(_highestFrameAcknowledged, data.nextFrame - 1);
+      _emit('resumed', data.nextFrame);
+      _checkProcess();
+    }
+
+    function _handleAborted() {
+      _emit('aborted');
+    }
+
     function _handleEnd(data) {
-      _emit('finished', data.pathname, data.size);
+      _emit('finished', data.pathname, data.size, data);
     }
 
     function _handleStart(data) {
@@ -154,6 +232,10 @@ define([
     _frameEncoder.on('end', _handleEnd);
     _frameEncoder.on('frame', _handleFrame);
     _frameEncoder.on('progress', _handleProgress);
+    _frameEncoder.on('queued', _handleQueued);
+    _frameEncoder.on('aborted', _handleAborted);
+    _frameEncoder.on('disconnect', _handleDisconnect);
+    _frameEncoder.on('resumed', _handleResumed);
 
   }
 
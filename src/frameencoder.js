@@ -40,6 +40,31 @@ define([
     var _connected = false;
     var _socket;
     var _eventListeners = {};
+    var _binary = false;
+    var _queue = [];
+    var _frameFormat = "png";
+    var _quality;
+    var _mimeTypes = {
+      png: "image/png",
+      jpeg: "image/jpeg",
+      webp: "image/webp",
+    };
+    // For resuming after losing the connection. Frames are kept
+    // until the server acknowledges them so they can be sent again.
+    // Audio messages are numbered and kept until a frame sent after
+    // them is acknowledged.
+    var _session;
+    var _resuming = false;
+    var _nextFrameNum = 0;
+    var _nextAudioNum = 0;
+    var _sent = [];
+    var _sentEnd = false;
+    var _minReconnectDelay = options.reconnectDelay || 500;
+    var _maxReconnectDelay = options.maxReconnectDelay || 30000;
+    var _reconnectDelay = _minReconnectDelay;
+    var _reconnectTimer;
+    var _nextAudioId = 0;
+    var _audioChunkSize = options.audioChunkSize || 256 * 1024;
 
     var emit_ = function(eventType, args) {
       var fn = _eventListeners[eventType];
@@ -67,31 +92,356 @@ define([
     };
 
     this.start = function(options) {
-      send_({
+      options = options || {};
+      _frameFormat = options.frameFormat || "png";
+      _quality = options.quality;
+      _binary = !!options.binary || _frameFormat === "rgba";
+      _session = undefined;
+      _nextFrameNum = 0;
+      _nextAudioNum = 0;
+      _sent = [];
+      _sentEnd = false;
+      _nextAudioId = 0;
+      enqueue_({
         cmd: 'start',
         data: options,
-      })
+      });
     };
 
-    this.add = function(canvas) {
-      send_({
-        cmd: 'frame',
+    /**
+     * Adds a frame.
+     * @param {(HTMLCanvasElement|ImageData|ArrayBuffer|ArrayBufferView)} source
+     *        Usually a canvas. For the "rgba" frameFormat it can
+     *        also be an ImageData or the pixels themselves, for
+     *        example from gl.readPixels.
+     * @param {number} [time] seconds since the first frame when
+     *        this frame is shown. Frames without one come a frame
+     *        after the one before.
+     */
+    this.add = function(source, time) {
+      var frameNum = _nextFrameNum++;
+      if (_frameFormat === "rgba") {
+        enqueue_(getBinaryHeader_(time), getPixels_(source), frameNum);
+      } else if (_binary && source.toBlob) {
+        addBlob_(source, frameNum, time);
+      } else {
+        enqueue_({
+          cmd: 'frame',
+          data: {
+            dataURL: source.toDataURL(_mimeTypes[_frameFormat], _quality),
+            time: time,
+          },
+        }, undefined, frameNum);
+      }
+    };
+
+    /**
+     * Shows the last frame for `count` more frames. No pixels are
+     * sent so it's much cheaper than adding the same frame again.
+     * @param {number} count
+     */
+    this.repeatLastFrame = function(count) {
+      var frameNum = _nextFrameNum;
+      _nextFrameNum += count;
+      enqueue_({
+        cmd: 'repeat',
         data: {
-          dataURL: canvas.toDataURL(),
-        }
+          count: count,
+        },
+      }, undefined, frameNum);
+    };
+
+    /**
+     * Adds an audio track. Call before `end`.
+     * @param {(ArrayBuffer|ArrayBufferView|Blob)} data the whole audio
+     *        file. wav, ogg, aac, m4a, flac or mp3.
+     * @param {Object} [options]
+     * @param {string} [options.mimeType] eg "audio/wav". If not set it
+     *        uses the Blob's type.
+     * @param {number} [options.offset] seconds into the video the audio starts.
+     *        Negative cuts off the start of the audio. Default 0
+     * @param {number} [options.volume] Default 1
+     */
+    this.addAudio = function(data, options) {
+      options = options || {};
+      var id = _nextAudioId++;
+      enqueueAudio_({
+        cmd: 'audio',
+        data: {
+          id: id,
+          mimeType: options.mimeType || data.type,
+          offset: options.offset,
+          volume: options.volume,
+        },
       });
+      if (ArrayBuffer.isView(data)) {
+        data = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+      }
+      var size = data.byteLength !== undefined ? data.byteLength : data.size;
+      for (var offset = 0; offset < size; offset += _audioChunkSize) {
+        enqueueAudio_({
+          cmd: 'audiochunk',
+          binary: true,
+          data: { id: id },
+        }, data.slice(offset, offset + _audioChunkSize));
+      }
+    };
+
+    /**
+     * Adds an audio track that's sent as it's recorded. See AudioRecorder.
+     * @param {Object} settings
+     * @param {number} settings.sampleRate
+     * @param {number} settings.channels
+     * @param {number} [settings.offset] seconds into the video it starts.
+     * @param {number} [settings.volume]
+     * @return {number} id to pass to `addPCM`
+     */
+    this.addPCMTrack = function(settings) {
+      var id = _nextAudioId++;
+      enqueueAudio_({
+        cmd: 'audio',
+        data: {
+          id: id,
+          pcm: {
+            sampleRate: settings.sampleRate,
+            channels: settings.channels,
+          },
+          offset: settings.offset,
+          volume: settings.volume,
+        },
+      });
+      return id;
+    };
+
+    /**
+     * Sends recorded samples.
+     * @param {number} id from `addPCMTrack`
+     * @param {number} time seconds since recording started
+     * @param {(ArrayBuffer|Int16Array)} samples interleaved 16 bit samples
+     */
+    this.addPCM = function(id, time, samples) {
+      enqueueAudio_({
+        cmd: 'audiochunk',
+        binary: true,
+        data: {
+          id: id,
+          time: time,
+        },
+      }, samples);
     };
 
     this.end = function() {
-      send_({
+      enqueue_({
         cmd: 'end',
       });
-    }
+    };
+
+    /**
+     * Encodes a video that failed to encode again from the frames
+     * the server kept, without capturing them again. Only works
+     * after an `error` with `canReencode` set.
+     * @param {Object} [settings] `framerate` and output settings like
+     *        `start`'s. Without output settings the outputs are the
+     *        same as before.
+     */
+    this.reencode = function(settings) {
+      enqueue_({
+        cmd: 'reencode',
+        data: settings || {},
+      });
+    };
+
+    /**
+     * Stops the current video. Frames not sent yet are dropped.
+     * The server replies with `aborted`.
+     */
+    this.abort = function() {
+      _queue = [];
+      _sent = [];
+      _session = undefined;
+      _resuming = false;
+      clearTimeout(_reconnectTimer);
+      enqueue_({
+        cmd: 'abort',
+      });
+    };
+
+    var getBinaryHeader_ = function(time) {
+      return {
+        cmd: 'frame',
+        binary: true,
+        data: {
+          time: time,
+        },
+      };
+    };
+
+    var getPixels_ = function(source) {
+      if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+        return source;
+      }
+      if (source.data) {
+        return source.data;  // ImageData
+      }
+      var ctx = source.getContext("2d");
+      if (ctx) {
+        return ctx.getImageData(0, 0, source.width, source.height).data;
+      }
+      // note: the pixels will be upside down. Use `flipY: true`
+      var gl = source.getContext("webgl2") || source.getContext("webgl");
+      var pixels = new Uint8Array(source.width * source.height * 4);
+      gl.readPixels(0, 0, source.width, source.height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+      return pixels;
+    };
+
+    // Sends a small JSON header followed by the image as a binary
+    // message. toBlob is async so the entry is held in the queue
+    // until the blob is ready.
+    var addBlob_ = function(canvas, frameNum, time) {
+      var entry = {
+        msg: getBinaryHeader_(time),
+        frameNum: frameNum,
+      };
+      _queue.push(entry);
+      canvas.toBlob(function(blob) {
+        if (blob) {
+          entry.binaryData = blob;
+        } else {
+          entry.msg = undefined;
+          emit_('error', [{ msg: "could not encode frame" }]);
+        }
+        entry.ready = true;
+        flush_();
+      }, _mimeTypes[_frameFormat], _quality);
+    };
+
+    // Everything sent goes through this queue so messages stay in
+    // the order they were added even when some take time to encode.
+    // While disconnected or resuming they wait here.
+    var flush_ = function() {
+      while (_queue.length && _queue[0].ready && _socket.isConnected() && !_resuming) {
+        var entry = _queue.shift();
+        if (entry.msg) {
+          send_(entry.msg);
+          if (entry.binaryData) {
+            sendBinary_(entry.binaryData);
+          }
+          if (entry.frameNum !== undefined || entry.audioNum !== undefined) {
+            _sent.push(entry);
+          } else if (entry.msg.cmd === 'end') {
+            _sentEnd = true;
+          }
+        }
+      }
+    };
+
+    var enqueue_ = function(msg, binaryData, frameNum) {
+      _queue.push({
+        msg: msg,
+        binaryData: binaryData,
+        frameNum: frameNum,
+        ready: true,
+      });
+      flush_();
+    };
+
+    // `beforeFrame` is the frame after it. Once that's acknowledged
+    // the server has the audio too.
+    var enqueueAudio_ = function(msg, binaryData) {
+      _queue.push({
+        msg: msg,
+        binaryData: binaryData,
+        audioNum: _nextAudioNum++,
+        beforeFrame: _nextFrameNum,
+        ready: true,
+      });
+      flush_();
+    };
+
+    // True if the server has the frame or audio `entry` once it has
+    // acknowledged frame `frameNum`.
+    var isAcknowledged_ = function(entry, frameNum) {
+      return entry.frameNum !== undefined ? entry.frameNum <= frameNum : entry.beforeFrame <= frameNum;
+    };
+
+    var reconnect_ = function() {
+      log("reconnecting in " + _reconnectDelay + "ms");
+      clearTimeout(_reconnectTimer);
+      _reconnectTimer = setTimeout(function() {
+        _socket.reconnect();
+      }, _reconnectDelay);
+      _reconnectDelay = Math.min(_reconnectDelay * 2, _maxReconnectDelay);
+    };
+
+    // The server says which frame and audio message it wants next.
+    // Anything after those which we sent got lost so send it again.
+    var handleResumed_ = function(data) {
+      _resuming = false;
+      _reconnectDelay = _minReconnectDelay;
+      var resend = _sent.filter(function(entry) {
+        return entry.frameNum !== undefined ? entry.frameNum >= data.nextFrame : entry.audioNum >= data.nextAudio;
+      });
+      if (_sentEnd && !data.ended) {
+        resend.push({
+          msg: { cmd: 'end' },
+          ready: true,
+        });
+      }
+      _sent = [];
+      _sentEnd = false;
+      _queue = resend.concat(_queue);
+      flush_();
+    };
+
+    // Handles the messages that are about the connection itself.
+    // Returns true if the message should not be passed on.
+    var handleSessionMessage_ = function(msg) {
+      var data = msg.data || {};
+      switch (msg.cmd) {
+      case 'start':
+        // The server greets every new connection with `start`.
+        if (_session) {
+          _resuming = true;
+          send_({
+            cmd: 'resume',
+            data: { session: _session },
+          });
+          return true;
+        }
+        break;
+      case 'started':
+        _session = data.session;
+        return true;
+      case 'resumed':
+        handleResumed_(data);
+        break;
+      case 'frame':
+        _sent = _sent.filter(function(entry) {
+          return !isAcknowledged_(entry, data.frameNum);
+        });
+        break;
+      case 'error':
+        if (_resuming) {
+          _resuming = false;
+          _session = undefined;
+        }
+        break;
+      case 'end':
+      case 'aborted':
+        _session = undefined;
+        _sent = [];
+        break;
+      }
+      return false;
+    };
 
     var disconnected_ = function() {
       log("disconnected");
       _connected = false;
       emit_('disconnect');
+      if (_session && _socket.reconnect) {
+        reconnect_();
+      }
     };
 
     var connected_ = function() {
@@ -101,6 +451,9 @@ define([
     }.bind(this);
 
     var processMessage_ = function(msg) {
+      if (handleSessionMessage_(msg)) {
+        return;
+      }
       var fn = _eventListeners[msg.cmd];
       if (fn) {
         fn(msg.data);
@@ -120,6 +473,12 @@ define([
       }
     };
 
+    var sendBinary_ = function(data) {
+      if (_socket.isConnected()) {
+        _socket.sendBinary(data);
+      }
+    };
+
   };
 
   return FrameEncoder;
@@ -69,8 +69,23 @@ define(function() {
     var _socket;
     var wsPrefix = !window.location.host.indexOf('localhost') ? 'ws://' : 'wss://';
     var url = options.url || wsPrefix + window.location.host;
-    log("connecting to: " + url);
-    _socket = new WebSocket(url);
+    var _handlers = {};
+
+    var connect_ = function() {
+      if (_socket) {
+        // so the old socket can't send events about itself.
+        _socket.onopen = null;
+        _socket.onclose = null;
+        _socket.onerror = null;
+        _socket.onmessage = null;
+      }
+      log("connecting to: " + url);
+      _socket = new WebSocket(url);
+      _socket.binaryType = "arraybuffer";
+      Object.keys(_handlers).forEach(function(eventName) {
+        setHandler_(eventName, _handlers[eventName]);
+      });
+    };
 
     this.__defineGetter__("readyState", function() {
       return _socket.readyState;
@@ -86,7 +101,7 @@ define(function() {
       }
     };
 
-    this.on = function(eventName, fn) {
+    var setHandler_ = function(eventName, fn) {
       switch (eventName) {
       case 'connect':
         _socket.onopen = fn;
@@ -117,13 +132,37 @@ define(function() {
       }
     };
 
+    this.on = function(eventName, fn) {
+      _handlers[eventName] = fn;
+      setHandler_(eventName, fn);
+    };
+
+    /**
+     * Opens a new connection to the same url. The event
+     * handlers are carried over.
+     */
+    this.reconnect = function() {
+      connect_();
+    };
+
     this.send = function(msg) {
       sendLowLevel(JSON.stringify(msg));
     };
 
+    /**
+     * Sends a binary message. The server pairs it with the
+     * previous message which must have been sent with `binary: true`.
+     * @param {(ArrayBuffer|ArrayBufferView|Blob)} data
+     */
+    this.sendBinary = function(data) {
+      sendLowLevel(data);
+    };
+
     this.close = function() {
      _socket.close();
     };
+
+    connect_();
   };
 
   //return SocketIOClient;
@@ -0,0 +1,132 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var archive = require('../lib/archive');
+var fs      = require('fs');
+var path    = require('path');
+var should  = require('should');
+var utils   = require('../lib/utils');
+
+describe('archive', function() {
+
+  var dir;
+  var entries;
+
+  before(function() {
+    return utils.getTempFolder().then(function(d) {
+      dir = d;
+      fs.writeFileSync(path.join(dir, "a.txt"), "hello");
+      fs.writeFileSync(path.join(dir, "b.txt"), "world!");
+      entries = [
+        { name: "seq/seq.0.txt", file: path.join(dir, "a.txt") },
+        { name: "seq/seq.1.txt", file: path.join(dir, "b.txt") },
+        { name: "seq/seq.2.txt", file: path.join(dir, "a.txt") },
+      ];
+    });
+  });
+
+  after(function() {
+    fs.readdirSync(dir).forEach(function(file) {
+      utils.deleteNoFail(path.join(dir, file));
+    });
+    utils.deleteNoFail(dir);
+  });
+
+  it('computes crc32', function() {
+    archive.crc32(Buffer.from("hello")).should.equal(0x3610a686);
+  });
+
+  it('writes a zip', function() {
+    var filename = path.join(dir, "test.zip");
+    var progress = [];
+    return archive.write("zip", filename, entries, function(p) {
+      progress.push(p);
+    }).then(function() {
+      var zip = fs.readFileSync(filename);
+      zip.readUInt32LE(0).should.equal(0x04034b50);
+      zip.readUInt32LE(14).should.equal(0x3610a686);
+      zip.toString('utf8', 30, 30 + 13).should.equal("seq/seq.0.txt");
+      zip.toString('utf8', 43, 48).should.equal("hello");
+      var end = zip.length - 22;
+      zip.readUInt32LE(end).should.equal(0x06054b50);
+      zip.readUInt16LE(end + 10).should.equal(3);
+      var central = zip.readUInt32LE(end + 16);
+      zip.readUInt32LE(central).should.equal(0x02014b50);
+      progress[progress.length - 1].should.equal(1);
+    });
+  });
+
+  it('writes ZIP64 records for more than 65535 files', function() {
+    this.timeout(60000);
+    var filename = path.join(dir, "many.zip");
+    var many = [];
+    for (var ii = 0; ii < 70000; ++ii) {
+      many.push({ name: "seq/seq." + ii + ".txt", file: path.join(dir, "a.txt") });
+    }
+    return archive.write("zip", filename, many).then(function() {
+      var zip = fs.readFileSync(filename);
+      var end = zip.length - 22;
+      zip.readUInt32LE(end).should.equal(0x06054b50);
+      zip.readUInt16LE(end + 10).should.equal(0xFFFF);
+      var locator = end - 20;
+      zip.readUInt32LE(locator).should.equal(0x07064b50);
+      var end64 = zip.readUInt32LE(locator + 8);
+      end64.should.equal(locator - 56);
+      zip.readUInt32LE(end64).should.equal(0x06064b50);
+      zip.readUInt32LE(end64 + 32).should.equal(70000);
+      var central = zip.readUInt32LE(end64 + 48);
+      zip.readUInt32LE(central).should.equal(0x02014b50);
+      utils.deleteNoFail(filename);
+    });
+  });
+
+  it('writes a tar', function() {
+    var filename = path.join(dir, "test.tar");
+    return archive.write("tar", filename, entries).then(function() {
+      var tar = fs.readFileSync(filename);
+      (tar.length % 512).should.equal(0);
+      tar.toString('utf8', 0, 13).should.equal("seq/seq.0.txt");
+      parseInt(tar.toString('utf8', 124, 135), 8).should.equal(5);
+      tar.toString('binary', 257, 263).should.equal("ustar\u0000");
+      var sum = 0;
+      for (var ii = 0; ii < 512; ++ii) {
+        sum += ii >= 148 && ii < 156 ? 0x20 : tar[ii];
+      }
+      parseInt(tar.toString('utf8', 148, 154), 8).should.equal(sum);
+      tar.toString('utf8', 512, 517).should.equal("hello");
+      tar.toString('utf8', 1024, 1037).should.equal("seq/seq.1.txt");
+      // 3 entries of a header and a block each then 2 empty blocks
+      tar.length.should.equal(512 * 8);
+    });
+  });
+
+});
@@ -0,0 +1,81 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var audioFormats = require('../lib/audio-formats');
+var should       = require('should');
+
+describe('audio-formats', function() {
+
+  var wav = Buffer.concat([
+    Buffer.from("RIFF", 'ascii'),
+    Buffer.alloc(4),
+    Buffer.from("WAVEfmt ", 'ascii'),
+  ]);
+
+  it('gets formats by mime type', function() {
+    audioFormats.getFormatByMimeType("audio/wav").extension.should.equal(".wav");
+    audioFormats.getFormatByMimeType("audio/ogg; codecs=opus").extension.should.equal(".ogg");
+    audioFormats.getFormatByMimeType("Audio/MPEG").extension.should.equal(".mp3");
+    should(audioFormats.getFormatByMimeType("video/mp4")).be.undefined();
+    should(audioFormats.getFormatByMimeType()).be.undefined();
+  });
+
+  it('sniffs containers', function() {
+    audioFormats.sniff(wav).name.should.equal("wav");
+    audioFormats.sniff(Buffer.from("OggS\0\x02", 'binary')).name.should.equal("ogg");
+    audioFormats.sniff(Buffer.from("fLaC\0\0\0\x22", 'binary')).name.should.equal("flac");
+    audioFormats.sniff(Buffer.from("\0\0\0\x20ftypM4A ", 'binary')).name.should.equal("m4a");
+    audioFormats.sniff(Buffer.from("ID3\x04\0", 'binary')).name.should.equal("mp3");
+  });
+
+  it('tells adts aac from mp3 frames', function() {
+    audioFormats.sniff(Buffer.from([0xFF, 0xF1, 0x50, 0x80])).name.should.equal("aac");
+    audioFormats.sniff(Buffer.from([0xFF, 0xFB, 0x90, 0x64])).name.should.equal("mp3");
+  });
+
+  it('makes wav headers', function() {
+    var header = audioFormats.makeWavHeader(1000, 48000, 2);
+    header.length.should.equal(44);
+    audioFormats.sniff(header).name.should.equal("wav");
+    header.readUInt32LE(4).should.equal(1036);
+    header.readUInt16LE(22).should.equal(2);
+    header.readUInt32LE(24).should.equal(48000);
+    header.readUInt32LE(28).should.equal(48000 * 4);
+    header.readUInt32LE(40).should.equal(1000);
+  });
+
+  it('does not sniff other things', function() {
+    should(audioFormats.sniff(Buffer.from("hello world", 'ascii'))).be.undefined();
+    should(audioFormats.sniff(Buffer.alloc(0))).be.undefined();
+  });
+
+});
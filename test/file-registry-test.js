@@ -0,0 +1,134 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var FileRegistry = require('../server/file-registry');
+var fs           = require('fs');
+var path         = require('path');
+var Promise      = require('bluebird');
+var should       = require('should');
+var utils        = require('../lib/utils');
+
+describe('file-registry', function() {
+
+  var dir;
+
+  var makeFile = function(name, size) {
+    var filename = path.join(dir, name);
+    fs.writeFileSync(filename, Buffer.alloc(size));
+    return { path: filename, size: size };
+  };
+
+  beforeEach(function() {
+    return utils.getTempFolder().then(function(d) {
+      dir = d;
+    });
+  });
+
+  afterEach(function() {
+    fs.readdirSync(dir).forEach(function(file) {
+      utils.deleteNoFail(path.join(dir, file));
+    });
+    utils.deleteNoFail(dir);
+  });
+
+  it('remembers files after a restart', function() {
+    var files = new FileRegistry({ dir: dir });
+    files.add("a.mp4", makeFile("a.mp4", 10));
+    files.close();
+
+    files = new FileRegistry({ dir: dir });
+    files.get("a.mp4").size.should.equal(10);
+    should(files.get("b.mp4")).be.undefined();
+    should(files.get("constructor")).be.undefined();
+    files.close();
+
+    fs.unlinkSync(path.join(dir, "a.mp4"));
+    files = new FileRegistry({ dir: dir });
+    should(files.get("a.mp4")).be.undefined();
+    files.close();
+  });
+
+  it('deletes expired files', function() {
+    var removed = [];
+    var files = new FileRegistry({
+      dir: dir,
+      ttl: 5,
+      onRemove: function(id) {
+        removed.push(id);
+      },
+    });
+    files.add("a.mp4", makeFile("a.mp4", 10));
+    files.get("a.mp4").should.be.ok();
+    return Promise.delay(10).then(function() {
+      should(files.get("a.mp4")).be.undefined();
+      fs.existsSync(path.join(dir, "a.mp4")).should.be.false();
+      removed.should.eql(["a.mp4"]);
+      files.close();
+    });
+  });
+
+  it('deletes the oldest files when over the size limit', function() {
+    var files = new FileRegistry({ dir: dir, maxTotalSize: 25 });
+    files.add("a.mp4", makeFile("a.mp4", 10));
+    return Promise.delay(2).then(function() {
+      files.add("b.mp4", makeFile("b.mp4", 10));
+      return Promise.delay(2);
+    }).then(function() {
+      files.add("c.mp4", makeFile("c.mp4", 10));
+      should(files.get("a.mp4")).be.undefined();
+      files.get("b.mp4").should.be.ok();
+      files.get("c.mp4").should.be.ok();
+      files.close();
+    });
+  });
+
+  it('refuses to replace a file', function() {
+    var files = new FileRegistry({ dir: dir });
+    files.add("a.mp4", makeFile("a.mp4", 10));
+    (function() {
+      files.add("a.mp4", makeFile("b.mp4", 20));
+    }).should.throw();
+    files.get("a.mp4").size.should.equal(10);
+    files.close();
+  });
+
+  it('can delete files once downloaded', function() {
+    var files = new FileRegistry({ dir: dir, oneTimeDownloads: true });
+    files.add("a.mp4", makeFile("a.mp4", 10));
+    files.downloaded("a.mp4");
+    should(files.get("a.mp4")).be.undefined();
+    fs.existsSync(path.join(dir, "a.mp4")).should.be.false();
+    files.close();
+  });
+
+});
+
@@ -0,0 +1,75 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var frameFormats = require('../lib/frame-formats');
+var should       = require('should');
+var testFrames   = require('../lib/test/test-frames');
+
+describe('frame-formats', function() {
+
+  var png = Buffer.from(testFrames[0].substr(testFrames[0].indexOf(",") + 1), 'base64');
+
+  it('gets formats by name', function() {
+    frameFormats.getFormat("png").extension.should.equal(".png");
+    frameFormats.getFormat("rgba").raw.should.be.true();
+    should(frameFormats.getFormat("gif")).be.undefined();
+    should(frameFormats.getFormat("toString")).be.undefined();
+  });
+
+  it('accepts a png', function() {
+    should(frameFormats.validateFrame(frameFormats.getFormat("png"), png)).be.undefined();
+  });
+
+  it('rejects a png with the wrong size', function() {
+    frameFormats.validateFrame(frameFormats.getFormat("png"), png, 1, 1).should.be.a.String();
+  });
+
+  it('rejects a png as jpeg', function() {
+    frameFormats.validateFrame(frameFormats.getFormat("jpeg"), png).should.be.a.String();
+  });
+
+  it('checks rgba frame size', function() {
+    var rgba = frameFormats.getFormat("rgba");
+    should(frameFormats.validateFrame(rgba, Buffer.alloc(2 * 3 * 4), 2, 3)).be.undefined();
+    frameFormats.validateFrame(rgba, Buffer.alloc(2 * 3 * 4 - 1), 2, 3).should.be.a.String();
+  });
+
+  it('reads rgba from a pipe as rawvideo', function() {
+    var args = frameFormats.getInputArgs(frameFormats.getFormat("rgba"), {
+      framerate: 30,
+      width: 640,
+      height: 480,
+    });
+    args.join(" ").should.equal("-framerate 30 -f rawvideo -pix_fmt rgba -s 640x480 -i pipe:0");
+  });
+
+});
@@ -0,0 +1,61 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var frameTimes = require('../lib/frame-times');
+var should     = require('should');
+
+describe('frame-times', function() {
+
+  it('fills in frames without times', function() {
+    frameTimes.getTimes([0, , , 1], 4, 10).should.eql([0, 100, 200, 1000]);
+  });
+
+  it('starts at the first frame', function() {
+    frameTimes.getTimes([2, 2.5], 2, 30).should.eql([0, 500]);
+  });
+
+  it('keeps times going forward', function() {
+    frameTimes.getTimes([0, 1, 1, 0.5], 4, 30).should.eql([0, 1000, 1001, 1002]);
+  });
+
+  it('repeats the last frame', function() {
+    var filters = frameTimes.getFilters([0, 500, 600]);
+    filters[0].should.equal("loop=loop=3:size=1:start=1");
+    filters[1].should.equal("settb=1/1000");
+    filters[2].should.equal("setpts=if(lt(N\\,2)\\,if(lt(N\\,1)\\,0\\,500)\\,if(lt(N\\,3)\\,600\\,if(lt(N\\,4)\\,601\\,602)))");
+  });
+
+  it('parses timecodes', function() {
+    frameTimes.parseTimecodes("# timecode format v2\r\n0\n\n250.5\n").should.eql([0, 0.2505]);
+  });
+
+});
@@ -0,0 +1,79 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var gif    = require('../lib/gif');
+var should = require('should');
+
+describe('gif', function() {
+
+  it('makes a palette then uses it', function() {
+    var args = gif.getPaletteArgs("in.mkv", "palette.png", {}, 30);
+    args.should.eql([
+      '-y',
+      '-i', 'in.mkv',
+      '-filter_complex', '[0:v]split[frames][palin];[palin]palettegen=max_colors=256[palette]',
+      '-map', '[frames]', '-f', 'null', '-',
+      '-map', '[palette]', 'palette.png',
+    ]);
+    gif.getGifArgs("in.mkv", "palette.png", {}, 30).should.eql([
+      '-y',
+      '-i', 'in.mkv',
+      '-i', 'palette.png',
+      '-filter_complex', '[0:v][1:v]paletteuse=dither=sierra2_4a[gif]',
+      '-map', '[gif]',
+      '-loop', '0',
+    ]);
+  });
+
+  it('uses the options', function() {
+    var options = {
+      dither: "bayer",
+      maxColors: 64,
+      loop: -1,
+      frameSkip: 2,
+      maxWidth: 320,
+    };
+    var pre = 'fps=fps=10,scale=w=min(320\\,iw):h=-1:flags=lanczos';
+    gif.getPaletteArgs("in.mkv", "palette.png", options, 30)[4].should.equal(
+        '[0:v]' + pre + ',split[frames][palin];[palin]palettegen=max_colors=64[palette]');
+    var args = gif.getGifArgs("in.mkv", "palette.png", options, 30);
+    args[6].should.equal('[0:v]' + pre + '[frames];[frames][1:v]paletteuse=dither=bayer[gif]');
+    args.slice(-2).should.eql(['-loop', '-1']);
+  });
+
+  it('counts frames', function() {
+    gif.getNumFrames({}, 10).should.equal(10);
+    gif.getNumFrames({ frameSkip: 2 }, 10).should.equal(4);
+  });
+
+});
+
@@ -0,0 +1,102 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var fs      = require('fs');
+var JobDir  = require('../server/job-dir');
+var path    = require('path');
+var should  = require('should');
+var utils   = require('../lib/utils');
+
+describe('job-dir', function() {
+
+  var dir;
+
+  var makeJob = function(id, state) {
+    return JobDir.create(path.join(dir, id), {
+      name: id,
+      state: state,
+      settings: {},
+      framePattern: id + "-%d.png",
+    });
+  };
+
+  beforeEach(function() {
+    return utils.getTempFolder().then(function(d) {
+      dir = d;
+    });
+  });
+
+  afterEach(function() {
+    utils.deleteTree(dir);
+  });
+
+  it('deletes the files it made but not the frames', function() {
+    var jobDir = makeJob("a", "capturing");
+    fs.writeFileSync(jobDir.getPath("a-0.png"), "x");
+    fs.writeFileSync(jobDir.getPath("a-1.png"), "x");
+    fs.mkdirSync(jobDir.getPath("sub"));
+    fs.writeFileSync(jobDir.getPath("sub/b.png"), "x");
+    jobDir.addFile(jobDir.getPath("encode-a.mp4"));
+    jobDir.addFile(jobDir.getPath("sub"));
+    fs.writeFileSync(jobDir.getPath("encode-a.mp4"), "x");
+    jobDir.getManifest().files.should.eql(["encode-a.mp4", "sub"]);
+
+    jobDir.removeFiles([jobDir.getPath("sub")]);
+    fs.readdirSync(jobDir.getDir()).sort().should.eql(["a-0.png", "a-1.png", "job.json", "sub"]);
+    jobDir.getManifest().files.should.eql(["sub"]);
+
+    jobDir.removeFiles();
+    fs.readdirSync(jobDir.getDir()).sort().should.eql(["a-0.png", "a-1.png", "job.json"]);
+    jobDir.getStatus().numImages.should.equal(2);
+
+    jobDir.remove();
+    fs.existsSync(jobDir.getDir()).should.be.false();
+  });
+
+  it('finds jobs that did not finish', function() {
+    makeJob("a", "capturing");
+    makeJob("b", "done");
+    makeJob("c", "encoding").update({ state: "error" });
+    makeJob("d", "encoding");
+    makeJob("g", "error").update({ keptUntil: Date.now() });
+    fs.mkdirSync(path.join(dir, "e"));
+    fs.writeFileSync(path.join(dir, "f.png"), "x");
+
+    var leftovers = JobDir.findLeftovers(dir);
+    leftovers.map(function(jobDir) {
+      return jobDir.getId();
+    }).sort().should.eql(["a", "d", "g"]);
+    should(leftovers[0].getManifest().created).be.a.Number();
+    JobDir.findLeftovers(path.join(dir, "none")).should.eql([]);
+  });
+
+});
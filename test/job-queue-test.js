@@ -0,0 +1,102 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var JobQueue = require('../server/job-queue');
+var Promise  = require('bluebird');
+var should   = require('should');
+
+describe('job-queue', function() {
+
+  var makeJob = function(log, name) {
+    var job = {
+      states: [],
+      start: function() {
+        log.push(name);
+        return new Promise(function(resolve) {
+          job.finish = resolve;
+        });
+      },
+      onStateChange: function(state, position) {
+        job.states.push(state + ":" + position);
+      },
+    };
+    return job;
+  };
+
+  it('limits concurrent jobs and runs them in order', function(done) {
+    var log = [];
+    var queue = new JobQueue(2);
+    var jobs = ["a", "b", "c", "d"].map(function(name) {
+      var job = makeJob(log, name);
+      queue.add(job);
+      return job;
+    });
+
+    log.should.eql(["a", "b"]);
+    queue.getNumRunning().should.equal(2);
+    queue.getPosition(jobs[2]).should.equal(1);
+    queue.getPosition(jobs[3]).should.equal(2);
+
+    jobs[1].finish();
+    setTimeout(function() {
+      log.should.eql(["a", "b", "c"]);
+      queue.getPosition(jobs[3]).should.equal(1);
+      jobs[3].states.should.eql(["queued:2", "queued:1"]);
+      jobs[2].states.should.eql(["queued:1", "running:0"]);
+      jobs[0].states.should.eql(["running:0"]);
+      done();
+    }, 10);
+  });
+
+  it('only runs with tryRun if there is a free slot', function() {
+    var log = [];
+    var queue = new JobQueue(1);
+    queue.tryRun(makeJob(log, "a")).should.be.true();
+    queue.tryRun(makeJob(log, "b")).should.be.false();
+    log.should.eql(["a"]);
+  });
+
+  it('can remove waiting jobs', function() {
+    var log = [];
+    var queue = new JobQueue(1);
+    queue.add(makeJob(log, "a"));
+    var b = makeJob(log, "b");
+    var c = makeJob(log, "c");
+    queue.add(b);
+    queue.add(c);
+    queue.remove(b);
+    queue.getPosition(b).should.equal(0);
+    queue.getPosition(c).should.equal(1);
+    queue.getNumWaiting().should.equal(1);
+  });
+
+});
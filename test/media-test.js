@@ -0,0 +1,68 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var media  = require('../server/media');
+var should = require('should');
+
+describe('media', function() {
+
+  it('gets content types', function() {
+    media.getContentType("foo.webm").should.equal("video/webm");
+    media.getContentType("/a/b/foo.MOV").should.equal("video/quicktime");
+    media.getContentType("foo.xyz").should.equal("application/octet-stream");
+    media.getContentType("frames.zip").should.equal("application/zip");
+  });
+
+  it('makes content disposition headers', function() {
+    media.contentDisposition("attachment", "my video.mp4").should.equal('attachment; filename="my video.mp4"');
+    media.contentDisposition("inline", 'say "hi".mp4').should.equal(
+        'inline; filename="say _hi_.mp4"; filename*=UTF-8\'\'say%20%22hi%22.mp4');
+    media.contentDisposition("inline", "日本.mp4").should.equal(
+        'inline; filename="__.mp4"; filename*=UTF-8\'\'%E6%97%A5%E6%9C%AC.mp4');
+  });
+
+  it('escapes the preview page', function() {
+    var page = media.makePreviewPage('<script>"', '/v.gif?token=a&b', 'image/gif');
+    page.should.containEql('<title>&#60;script&#62;&#34;</title>');
+    page.should.containEql('<img src="/v.gif?token=a&#38;b">');
+    page.should.containEql('href="/v.gif?token=a&#38;b&#38;download=1"');
+  });
+
+  it('only links to files it can not show', function() {
+    var page = media.makePreviewPage('frames', '/frames.zip', 'application/zip');
+    page.should.not.containEql('<video');
+    page.should.not.containEql('<img');
+    page.should.containEql('href="/frames.zip?download=1"');
+  });
+
+});
+
@@ -0,0 +1,86 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var overlays = require('../lib/overlays');
+var should   = require('should');
+
+describe('overlays', function() {
+
+  var png = 'data:image/png;base64,' + Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).toString('base64');
+
+  it('escapes values for filter graphs', function() {
+    overlays.escape("this is a 'string': may contain one, or more, special characters")
+      .should.equal("this is a \\\\\\'string\\\\\\'\\\\: may contain one\\, or more\\, special characters");
+    overlays.escape("[a];b\\c").should.equal("\\[a\\]\\;b\\\\\\\\c");
+  });
+
+  it('validates layers', function() {
+    should(overlays.validateLayers([
+      { type: "text", text: "hello", anchor: "top-left", color: "#ff0000", start: 1, end: 2, fadeIn: 0.5 },
+      { type: "image", image: png, size: 100 },
+    ])).be.undefined();
+    overlays.validateLayers({}).should.match(/array/);
+    overlays.validateLayers([{ type: "video" }]).should.match(/^overlays\[0\]: type/);
+    overlays.validateLayers([{ type: "text", text: "a", font: "../../etc/passwd" }]).should.match(/unknown font/);
+    overlays.validateLayers([{ type: "text", text: "hi", fontFile: "/etc/passwd" }]).should.match(/^overlays\[0\]: fontFile/);
+    overlays.validateLayers([{ type: "text", text: "a", color: "red:x=1" }]).should.match(/color/);
+    overlays.validateLayers([{ type: "text", text: "a", anchor: "middle" }]).should.match(/anchor/);
+    overlays.validateLayers([{ type: "text", text: "a", start: 2, end: 1 }]).should.match(/end/);
+    overlays.validateLayers([{ type: "text", text: "a", size: "10:x=0" }]).should.match(/size/);
+    overlays.validateLayers([{ type: "image", image: "data:image/gif;base64,R0lG" }]).should.match(/image/);
+  });
+
+  it('keeps text from breaking out of its option', function() {
+    var graph = overlays.buildGraph([
+      { type: "text", text: "a':fontcolor=red,[x];b", anchor: "top-left", font: "SourceCodePro-Semibold" },
+    ]);
+    graph.should.startWith("[0:v]drawtext=fontfile=");
+    graph.should.containEql(":text=a\\\\\\'\\\\:fontcolor=red\\,\\[x\\]\\;b:expansion=none:");
+    graph.should.containEql(":x=10:y=10[vout]");
+  });
+
+  it('chains layers and image inputs', function() {
+    var graph = overlays.buildGraph([
+      { type: "image", image: png, anchor: "bottom-right", start: 1, end: 3, fadeOut: 1 },
+      { type: "text", text: "hi", start: 2, fadeIn: 1 },
+      { type: "image", image: png, anchor: "center" },
+    ], ["pad=width=100:height=100"]).split(';\n');
+    graph[0].should.equal("[0:v]pad=width=100:height=100[pre]");
+    graph[1].should.equal("[1:v]format=rgba,fade=t=out:st=2:d=1:alpha=1[img0]");
+    graph[2].should.equal("[pre][img0]overlay=x=W-w-10:y=H-h-10:enable=between(t\\,1\\,3):shortest=1[v0]");
+    graph[3].should.containEql("alpha=clip((t-2)/1\\,0\\,1):enable=gte(t\\,2)[v1]");
+    graph[4].should.equal("[2:v]format=rgba[img2]");
+    graph[5].should.equal("[v1][img2]overlay=x=(W-w)/2:y=(H-h)/2:shortest=1[vout]");
+  });
+
+});
+
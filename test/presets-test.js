@@ -0,0 +1,91 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var Presets = require('../server/presets');
+var should  = require('should');
+
+describe('presets', function() {
+
+  var presets = new Presets(require('../server/default-presets.json'));
+
+  it('lists presets', function() {
+    var list = presets.list();
+    var names = list.map(function(preset) {
+      return preset.name;
+    });
+    names.should.containEql("web-h264-high");
+    names.should.containEql("lossless-ffv1");
+    var web = list[names.indexOf("web-h264-high")];
+    web.extension.should.equal(".mp4");
+    web.params.crf.default.should.equal(20);
+  });
+
+  it('fills in params', function() {
+    var settings = presets.getOutputSettings("web-h264-high", { crf: 28 });
+    settings.codec.should.equal("libx264");
+    settings.arguments.should.containDeepOrdered(["-preset", "slow", "-crf", "28"]);
+    // maxWidth has no default so its filter is left out
+    settings.filters.should.eql([]);
+    presets.getOutputSettings("web-h264-high", { maxWidth: 640 }).filters.should.eql(["scale=w=min(iw\\,640):h=-2"]);
+    presets.getOutputSettings("gif-palette").filters[0].should.equal("fps=15");
+  });
+
+  it('checks choices', function() {
+    should(presets.check("web-h264-high", { crf: 0, speed: "fast" })).be.undefined();
+    presets.check("nope").should.eql({ field: "preset", msg: "no preset named nope" });
+    presets.check("web-h264-high", { crf: 52 }).field.should.equal("presetParams.crf");
+    presets.check("web-h264-high", { speed: "placebo" }).field.should.equal("presetParams.speed");
+    presets.check("web-h264-high", { crf: "20; rm" }).field.should.equal("presetParams.crf");
+    presets.check("web-h264-high", { pix_fmt: 1 }, "outputs[1]").field.should.equal("outputs[1].presetParams.pix_fmt");
+    presets.check("toString").field.should.equal("preset");
+  });
+
+  it('refuses bad configs', function() {
+    (function() {
+      new Presets({ "a b": {} });
+    }).should.throw(/name/);
+    (function() {
+      new Presets({ a: { arguments: ["-crf", "{crf}"] } });
+    }).should.throw(/unknown param crf/);
+    (function() {
+      new Presets({ a: { arguments: ["-crf", "{crf}"], params: { crf: { type: "integer" } } } });
+    }).should.throw(/needs a default/);
+    (function() {
+      new Presets({ a: { params: { b: { type: "string" } } } });
+    }).should.throw(/with values/);
+    (function() {
+      new Presets({ a: { params: { b: { type: "integer", max: 5, default: 6 } } } });
+    }).should.throw(/default/);
+  });
+
+});
+
@@ -0,0 +1,91 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var messageSchemas = require('../server/message-schemas').messageSchemas;
+var schema         = require('../lib/schema');
+var should         = require('should');
+
+describe('schema', function() {
+
+  var start = messageSchemas.start;
+
+  it('accepts good values', function() {
+    should(schema.validate(start, {
+      name: "foo",
+      framerate: 60,
+      extension: ".webm",
+      codec: "libvpx",
+      width: 640,
+      height: 480,
+      binary: true,
+      unknownFieldsAreIgnored: "yes",
+    })).be.undefined();
+    should(schema.validate(start, undefined)).be.undefined();
+  });
+
+  it('says which field is bad', function() {
+    schema.validate(start, { codec: "mpeg4; rm -rf /" }).field.should.equal("codec");
+    schema.validate(start, { extension: ".mp4 && reboot" }).field.should.equal("extension");
+    schema.validate(start, { framerate: "30" }).msg.should.equal("framerate must be a number");
+    schema.validate(start, { framerate: 1e9 }).msg.should.equal("framerate must be at most 240");
+    schema.validate(start, { width: 1.5 }).msg.should.equal("width must be an integer");
+    schema.validate(start, { ffmpegArguments: ["-b:v", 100] }).field.should.equal("ffmpegArguments[1]");
+    schema.validate(start, "start").msg.should.equal("data must be an object");
+  });
+
+  it('runs extra checks', function() {
+    var err = schema.validate(start, { overlays: [{ type: "text", text: "a", anchor: "nowhere" }] });
+    err.field.should.equal("overlays");
+    err.msg.should.match(/^overlays\[0\]: anchor/);
+    should(schema.validate(messageSchemas.timestamps, "# timecode format v2\n0\n33.3\n")).be.undefined();
+    schema.validate(messageSchemas.timestamps, "0\n`touch foo`\n").msg.should.match(/line 2/);
+  });
+
+  it('checks required values', function() {
+    schema.validate(messageSchemas.resume, {}).field.should.equal("session");
+    schema.validate(messageSchemas.frame, null).msg.should.equal("data is required");
+    schema.validate(messageSchemas.repeat, {}).field.should.equal("count");
+    schema.validate(messageSchemas.repeat, { count: 0 }).field.should.equal("count");
+  });
+
+  it('checks audio messages', function() {
+    should(schema.validate(messageSchemas.audio, { id: 0, pcm: { sampleRate: 48000, channels: 2 }, volume: 0.5 })).be.undefined();
+    schema.validate(messageSchemas.audio, { mimeType: "audio/wav" }).field.should.equal("id");
+    schema.validate(messageSchemas.audio, { id: 1, pcm: { sampleRate: 4000, channels: 2 } }).field.should.equal("pcm.sampleRate");
+    schema.validate(messageSchemas.audio, { id: 1, volume: -1 }).field.should.equal("volume");
+    should(schema.validate(messageSchemas.audiochunk, { id: 1, data: "AAEC", time: 0.5 })).be.undefined();
+    schema.validate(messageSchemas.audiochunk, { id: 1, data: "$(rm)" }).field.should.equal("data");
+    schema.validate(messageSchemas.audiochunk, { id: 1, time: "soon" }).field.should.equal("time");
+  });
+
+});
+
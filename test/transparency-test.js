@@ -0,0 +1,61 @@
+/*
+ * Copyright 2015, Gregg Tavares.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ *     * Redistributions of source code must retain the above copyright
+ * notice, this list of conditions and the following disclaimer.
+ *     * Redistributions in binary form must reproduce the above
+ * copyright notice, this list of conditions and the following disclaimer
+ * in the documentation and/or other materials provided with the
+ * distribution.
+ *     * Neither the name of Gregg Tavares. nor the names of its
+ * contributors may be used to endorse or promote products derived from
+ * this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ * LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+ * DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+ * THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+var should       = require('should');
+var transparency = require('../lib/transparency');
+
+describe('transparency', function() {
+
+  it('picks a codec for each extension', function() {
+    transparency.getDefaultCodec(".mov").should.equal("prores_ks");
+    transparency.getDefaultCodec(".webm").should.equal("libvpx-vp9");
+    should(transparency.getDefaultCodec(".mp4")).be.undefined();
+    should(transparency.getDefaultCodec("toString")).be.undefined();
+  });
+
+  it('gets arguments that keep alpha', function() {
+    transparency.getArguments("prores_ks").should.eql(["-c:v", "prores_ks", "-pix_fmt", "yuva444p10le", "-profile:v", "4444"]);
+    transparency.getArguments("qtrle").should.eql(["-c:v", "qtrle", "-pix_fmt", "argb"]);
+  });
+
+  it('refuses what can not be transparent', function() {
+    should(transparency.check(".mov")).be.undefined();
+    should(transparency.check(".mkv", "png")).be.undefined();
+    transparency.check(".mp4").field.should.equal("extension");
+    transparency.check(".mov", "libx264").field.should.equal("codec");
+    var err = transparency.check(".webm", "prores_ks");
+    err.field.should.equal("extension");
+    err.msg.should.equal("prores_ks can't be transparent in .webm. use one of .mov");
+  });
+
+});
+
@@ -32,6 +32,8 @@
 
 var debug            = require('debug')('video-encode-test');
 var assert           = require('assert');
+var FFMpegRunner     = require('../lib/ffmpeg-runner');
+var frameFormats     = require('../lib/frame-formats');
 var fs               = require('fs');
 var LoopbackClient   = require('../server/loopbackclient');
 var path             = require('path');
@@ -93,6 +95,47 @@ describe('video-encode', function() {
     });
   });
 
+  // Makes an FFMpegServer, like a page's, connected to the server.
+  // `options` are for TestFFMpegServer.
+  var makeFFMpegServer = function(options) {
+    options = options || {};
+    options.server = server;
+    return new TestFFMpegServer(options).getFFMpegServer();
+  };
+
+  // Connects a bare client to the server. Each message is passed,
+  // with the client, to the handler in `handlers` for its cmd.
+  var connect = function(handlers) {
+    var client = new LoopbackClient();
+    client.on('message', function(msg) {
+      var handler = handlers[msg.cmd];
+      if (handler) {
+        handler(msg.data, client);
+      }
+    });
+    client.connect();
+    server.getSocketServer().emit('connection', client.server);
+    return client;
+  };
+
+  // Gets an error handler that fails the test.
+  var failOnError = function(done) {
+    return function(data) {
+      console.error(data);
+      assert(false);
+      done();
+    };
+  };
+
+  // Gets the status of the job with a name starting with `prefix`.
+  var getJobP = function(prefix) {
+    return server.getP("http://localhost:0/api/v1/jobs").then(function(res) {
+      return JSON.parse(res.body).jobs.filter(function(job) {
+        return job.name && job.name.indexOf(prefix + "-") === 0;
+      })[0];
+    });
+  };
+
   it('responds to lib request', function(done) {
     server.getP("http://localhost:0/ffmpegserver/ffmpegserver.min.js").then(function(res) {
       var expected = fs.readFileSync(path.join(__dirname, "..", "dist", "ffmpegserver.min.js"), {encoding: "utf-8"});
@@ -102,8 +145,7 @@ describe('video-encode', function() {
 
   it('should be able submit frames', function(done) {
     this.timeout(5000);
-    var testFFMpegServer = new TestFFMpegServer({server: server});
-    var ffmpegServer = testFFMpegServer.getFFMpegServer();
+    var ffmpegServer = makeFFMpegServer();
     var name = "test@#file";
     var size;
     var started = false;
@@ -111,19 +153,20 @@ describe('video-encode', function() {
     var handleProgress = function(progress) {
     };
 
-    var handleFinished = function(url, size) {
-      url.should.endWith("test__file-1.mp4");
+    var handleFinished = function(url, size, info) {
+      url.should.match(/\/test__file-\d+-[0-9a-f]{8}\.mp4$/);
+      var base = path.basename(url, ".mp4");
       size.should.be.greaterThan(6000);  // was 6869
+      info.poster.should.endWith(base + "-poster.jpg");
+      info.animation.should.endWith(base + "-animation.gif");
+      info.contactSheet.should.endWith(base + "-contact-sheet.jpg");
+      fs.existsSync(path.join(videoDir, base + "-contact-sheet.jpg")).should.be.true();
       videoPath = url;
       videoSize = size;
       done();
     };
 
-    var handleError = function(data) {
-      console.error(data);
-      assert(false);
-      done();
-    };
+    var handleError = failOnError(done);
 
     var handleProcess = function() {
       if (!started) {
@@ -165,6 +208,889 @@ describe('video-encode', function() {
     });
   });
 
+  it('sends video headers', function(done) {
+    server.getP("http://localhost:0" + videoPath)
+    .then(function(res) {
+      res.headers['Content-Type'].should.equal("video/mp4");
+      res.headers['Content-Disposition'].should.equal('inline; filename="test@#file.mp4"');
+      return server.getP("http://localhost:0" + videoPath + "?download=1");
+    }).then(function(res) {
+      res.headers['Content-Disposition'].should.startWith("attachment;");
+    }).then(done, done);
+  });
+
+  it('has a preview page', function(done) {
+    server.getP("http://localhost:0" + videoPath.replace("/frameencoder/downloads/", "/preview/"))
+    .then(function(res) {
+      res.headers['Content-Type'].should.startWith("text/html");
+      res.body.should.containEql('<video controls autoplay loop preload="metadata" src="' + videoPath + '">');
+      res.body.should.containEql("<title>test@#file.mp4</title>");
+    }).then(done, done);
+  });
+
+  it('should be able submit binary frames', function(done) {
+    this.timeout(5000);
+    var ffmpegServer = makeFFMpegServer();
+    var started = false;
+
+    var handleFinished = function(url, size) {
+      url.should.match(/\/binary-\d+-[0-9a-f]{8}\.mp4$/);
+      size.should.be.greaterThan(6000);
+      done();
+    };
+
+    var handleError = failOnError(done);
+
+    var handleProcess = function() {
+      if (!started) {
+        started = true;
+        testFrames.forEach(function(dataUrl) {
+          ffmpegServer.add({
+            toBlob: function(callback) {
+              var base64 = dataUrl.substr(dataUrl.indexOf(",") + 1);
+              setTimeout(function() {
+                callback(Buffer.from(base64, 'base64'));
+              }, 1);
+            },
+          });
+        });
+
+        ffmpegServer.end();
+      }
+    };
+
+    ffmpegServer.on('process', handleProcess);
+    ffmpegServer.on('finished', handleFinished);
+    ffmpegServer.on('error', handleError);
+
+    ffmpegServer.start({
+      name: "binary",
+      binary: true,
+    });
+  });
+
+  it('lists jobs', function(done) {
+    server.getP("http://localhost:0/api/v1/jobs")
+    .then(function(res) {
+      var jobs = JSON.parse(res.body).jobs;
+      jobs.length.should.be.greaterThan(1);
+      jobs[0].name.should.match(/^test__file-\d+$/);
+      jobs[0].state.should.equal("done");
+      jobs[0].frameCount.should.equal(testFrames.length);
+      jobs[0].output.pathname.should.equal(videoPath);
+    }).then(done, done);
+  });
+
+  it('lists presets', function(done) {
+    server.getP("http://localhost:0/api/v1/presets")
+    .then(function(res) {
+      var presets = JSON.parse(res.body).presets;
+      presets.map(function(preset) {
+        return preset.name;
+      }).should.containEql("web-h264-high");
+    }).then(done, done);
+  });
+
+  it('can cancel a job', function(done) {
+    this.timeout(5000);
+    var ffmpegServer = makeFFMpegServer();
+    var started = false;
+    var jobUrl;
+
+    var handleError = function(data) {
+      data.msg.should.equal("job cancelled");
+      server.getP(jobUrl)
+      .then(function(res) {
+        JSON.parse(res.body).state.should.equal("cancelled");
+      }).then(done, done);
+    };
+
+    var handleProcess = function() {
+      if (!started) {
+        started = true;
+        ffmpegServer.add({
+          toDataURL: function() {
+            return testFrames[0];
+          },
+        });
+        // wait for the server to see the connection
+        Promise.delay(10).then(function() {
+          return getJobP("cancel");
+        }).then(function(job) {
+          jobUrl = "http://localhost:0/api/v1/jobs/" + job.id;
+          server.request({
+            url: jobUrl,
+            method: 'DELETE',
+            headers: {},
+          }, function(res) {
+            res.statusCode.should.equal(200);
+          });
+        });
+      }
+    };
+
+    ffmpegServer.on('process', handleProcess);
+    ffmpegServer.on('error', handleError);
+
+    ffmpegServer.start({
+      name: "cancel",
+    });
+  });
+
+  it('can abort a video', function(done) {
+    this.timeout(5000);
+    var ffmpegServer = makeFFMpegServer();
+    var started = false;
+
+    var handleAborted = function() {
+      Promise.delay(10).then(function() {
+        return getJobP("abort");
+      }).then(function(job) {
+        job.state.should.equal("aborted");
+        fs.readdirSync(frameDir).filter(function(file) {
+          return file.indexOf(job.name + "-") === 0;
+        }).length.should.equal(0);
+      }).then(done, done);
+    };
+
+    var handleError = failOnError(done);
+
+    var handleProcess = function() {
+      if (!started) {
+        started = true;
+        testFrames.slice(0, 4).forEach(function(dataUrl) {
+          ffmpegServer.add({
+            toDataURL: function() {
+              return dataUrl;
+            },
+          });
+        });
+        ffmpegServer.abort();
+      }
+    };
+
+    ffmpegServer.on('process', handleProcess);
+    ffmpegServer.on('aborted', handleAborted);
+    ffmpegServer.on('error', handleError);
+
+    ffmpegServer.start({
+      name: "abort",
+    });
+  });
+
+  it('can resume after a disconnect', function(done) {
+    this.timeout(5000);
+    var frames = testFrames.slice(0, 10);
+    var session;
+    var name;
+
+    var sendFrames = function(client, start, end) {
+      frames.slice(start, end).forEach(function(dataURL) {
+        client.send({ cmd: 'frame', data: { dataURL: dataURL } });
+      });
+    };
+
+    var handleError = failOnError(done);
+
+    var first = connect({
+      start: function(data, client) {
+        client.send({ cmd: 'start', data: { name: 'resume' } });
+        sendFrames(client, 0, 4);
+      },
+      started: function(data) {
+        session = data.session;
+        name = data.name;
+      },
+      frame: function(data) {
+        if (data.frameNum === 3) {
+          first.disconnect();
+          connect({
+            start: function(data, client) {
+              client.send({ cmd: 'resume', data: { session: session } });
+            },
+            resumed: function(data, client) {
+              data.nextFrame.should.equal(4);
+              sendFrames(client, data.nextFrame);
+              client.send({ cmd: 'end' });
+            },
+            end: function(data) {
+              data.pathname.should.endWith(name + "-" + session.substr(0, 8) + ".mp4");
+              done();
+            },
+            error: handleError,
+          });
+        }
+      },
+      error: handleError,
+    });
+  });
+
+  it('sends audio lost in a disconnect again', function(done) {
+    this.timeout(10000);
+    var started = false;
+
+    // A socket whose messages are lost after `drop` until the
+    // page notices the connection is gone with `cut`.
+    var socket = new (function() {
+      var handlers = {};
+      var client;
+      var dropping = false;
+      var self = this;
+
+      this.on = function(eventName, fn) {
+        handlers[eventName] = fn;
+      };
+      this.connect = function() {
+        client = new LoopbackClient();
+        ['connect', 'message', 'disconnect'].forEach(function(eventName) {
+          client.on(eventName, function(data) {
+            handlers[eventName](data);
+          });
+        });
+        self.server = client.server;
+        client.connect();
+      };
+      this.reconnect = function() {
+        self.connect();
+        server.getSocketServer().emit('connection', client.server);
+      };
+      this.send = function(msg) {
+        if (!dropping) {
+          client.send(msg);
+        }
+      };
+      this.sendBinary = function(data) {
+        if (!dropping) {
+          client.sendBinary(data);
+        }
+      };
+      this.isConnected = function() {
+        return client.isConnected();
+      };
+      this.drop = function() {
+        dropping = true;
+      };
+      this.cut = function() {
+        dropping = false;
+        client.disconnect();
+      };
+    })();
+
+    var ffmpegServer = makeFFMpegServer({socket: socket});
+
+    var addFrames = function(frames) {
+      frames.forEach(function(dataUrl) {
+        ffmpegServer.add({
+          toDataURL: function() {
+            return dataUrl;
+          },
+        });
+      });
+    };
+
+    var handleProcess = function() {
+      if (!started) {
+        started = true;
+        addFrames(testFrames.slice(0, 3));
+        socket.drop();
+        var id = ffmpegServer.addPCMTrack({ sampleRate: 8000, channels: 1 });
+        ffmpegServer.addPCM(id, 0, new Int16Array(800).buffer);
+        addFrames(testFrames.slice(3, 5));
+        socket.cut();
+        ffmpegServer.end();
+      }
+    };
+
+    var handleFinished = function(url) {
+      var runner = new FFMpegRunner(["-i", path.join(videoDir, path.basename(url))]);
+      runner.on('error', function(result) {
+        // No output file so ffmpeg fails after describing the input
+        result.stderr.should.match(/Stream #0:1.*: Audio:/);
+        done();
+      });
+    };
+
+    var handleError = failOnError(done);
+
+    ffmpegServer.on('process', handleProcess);
+    ffmpegServer.on('finished', handleFinished);
+    ffmpegServer.on('error', handleError);
+
+    ffmpegServer.start({
+      name: "lostaudio",
+    });
+  });
+
+  it('can stream frames straight to ffmpeg', function(done) {
+    this.timeout(5000);
+    var frames = testFrames.slice(0, 10);
+    var acked = [];
+    var jobDir;
+
+    var check = function(fn) {
+      return function(data, client) {
+        try {
+          fn(data, client);
+        } catch (e) {
+          done(e);
+        }
+      };
+    };
+
+    connect({
+      start: function(data, client) {
+        client.send({ cmd: 'start', data: { name: 'stream', stream: true } });
+        frames.forEach(function(dataURL) {
+          client.send({ cmd: 'frame', data: { dataURL: dataURL } });
+        });
+      },
+      started: function(data) {
+        jobDir = path.join(frameDir, data.name + "-" + data.session.substr(0, 8));
+      },
+      frame: check(function(data, client) {
+        acked.push(data.frameNum);
+        if (acked.length === frames.length) {
+          acked.should.eql(frames.map(function(f, ndx) {
+            return ndx;
+          }));
+          // Only the job's manifest, no frames
+          fs.readdirSync(jobDir).should.eql(["job.json"]);
+          client.send({ cmd: 'end' });
+        }
+      }),
+      end: check(function(data) {
+        var filename = path.join(videoDir, path.basename(data.pathname));
+        path.basename(filename).should.equal(path.basename(jobDir) + ".mp4");
+        fs.statSync(filename).size.should.be.greaterThan(0);
+        done();
+      }),
+      error: failOnError(done),
+    });
+  });
+
+  it('leaves unfinished jobs on disk when the server exits', function(done) {
+    var jobDir;
+    var session;
+
+    connect({
+      start: function(data, client) {
+        client.send({ cmd: 'start', data: { name: 'exiting' } });
+        client.send({ cmd: 'frame', data: { dataURL: testFrames[0] } });
+      },
+      started: function(data) {
+        session = data.session;
+        jobDir = path.join(frameDir, data.name + "-" + data.session.substr(0, 8));
+      },
+      frame: function(data, client) {
+        var encoder = server.getEncoders().filter(function(encoder) {
+          return encoder.getSession() === session;
+        })[0];
+        encoder.shutdown();
+        fs.readdirSync(jobDir).should.containEql("job.json");
+        client.send({ cmd: 'abort' });
+        fs.existsSync(jobDir).should.be.false();
+        done();
+      },
+      error: failOnError(done),
+    });
+  });
+
+  it('refuses dedupe when streaming', function(done) {
+    connect({
+      start: function(data, client) {
+        client.send({ cmd: 'start', data: { name: 'streamdedupe', stream: true, dedupe: true } });
+      },
+      error: function(data) {
+        data.field.should.equal("dedupe");
+        done();
+      },
+    });
+  });
+
+  it('refuses audio chunks far past the end', function(done) {
+    connect({
+      start: function(data, client) {
+        client.send({ cmd: 'start', data: { name: 'longaudio' } });
+        client.send({ cmd: 'audio', data: { id: 1, pcm: { sampleRate: 192000, channels: 8 } } });
+        client.send({ cmd: 'audiochunk', data: { id: 1, time: 3000, data: Buffer.alloc(16).toString('base64') } });
+      },
+      error: function(data, client) {
+        data.msg.should.startWith("audio track 1 is too long");
+        client.send({ cmd: 'abort' });
+        done();
+      },
+    });
+  });
+
+  it('can make several outputs', function(done) {
+    this.timeout(10000);
+    var ffmpegServer = makeFFMpegServer();
+    var started = false;
+
+    var handleFinished = function(url, size, info) {
+      url.should.match(/outputs-\d+-[0-9a-f]{8}\.mp4$/);
+      info.outputs.length.should.equal(2);
+      info.outputs[0].pathname.should.equal(url);
+      info.outputs[0].size.should.equal(size);
+      info.outputs[1].name.should.equal("small");
+      info.outputs[1].pathname.should.endWith("-1-small.gif");
+      info.outputs[1].size.should.be.greaterThan(0);
+      info.should.have.property('poster');
+      fs.existsSync(path.join(videoDir, path.basename(info.outputs[1].pathname))).should.be.true();
+      done();
+    };
+
+    var handleError = failOnError(done);
+
+    var handleProcess = function() {
+      if (!started) {
+        started = true;
+        testFrames.forEach(function(dataUrl) {
+          ffmpegServer.add({
+            toDataURL: function() {
+              return dataUrl;
+            },
+          });
+        });
+
+        ffmpegServer.end();
+      }
+    };
+
+    ffmpegServer.on('process', handleProcess);
+    ffmpegServer.on('finished', handleFinished);
+    ffmpegServer.on('error', handleError);
+
+    ffmpegServer.start({
+      name: "outputs",
+      outputs: [
+        { extension: ".mp4" },
+        { name: "small", extension: ".gif", scale: "32x-1" },
+      ],
+    });
+  });
+
+  it('keeps output settings when drawing overlays', function(done) {
+    this.timeout(10000);
+    var ffmpegServer = makeFFMpegServer();
+    var started = false;
+
+    var handleFinished = function(url, size, info) {
+      // x264 writes its settings into the video
+      var video = fs.readFileSync(path.join(videoDir, path.basename(url))).toString('latin1');
+      video.should.containEql("bitrate=100 ");
+      var animation = fs.readFileSync(path.join(videoDir, path.basename(info.outputs[1].pathname)));
+      animation.toString('latin1', 0, 6).should.equal("GIF89a");
+      done();
+    };
+
+    var handleError = failOnError(done);
+
+    var handleProcess = function() {
+      if (!started) {
+        started = true;
+        testFrames.slice(0, 5).forEach(function(dataUrl) {
+          ffmpegServer.add({
+            toDataURL: function() {
+              return dataUrl;
+            },
+          });
+        });
+        ffmpegServer.end();
+      }
+    };
+
+    ffmpegServer.on('process', handleProcess);
+    ffmpegServer.on('finished', handleFinished);
+    ffmpegServer.on('error', handleError);
+
+    ffmpegServer.start({
+      name: "overlaid",
+      outputs: [
+        { extension: ".mp4", bitrate: "100k" },
+        { name: "anim", extension: ".gif" },
+      ],
+      overlays: [
+        { type: "text", text: "hi" },
+      ],
+    });
+  });
+
+  it('draws overlays before a preset picks a GIF\'s palette', function(done) {
+    this.timeout(10000);
+    var ffmpegServer = makeFFMpegServer();
+    var started = false;
+
+    // A fixed palette, like ffmpeg's default, has nothing close to the
+    // text's color. One picked after the text is drawn does.
+    var handleFinished = function(url) {
+      var filename = path.join(videoDir, path.basename(url));
+      var rawname = filename + ".rgb";
+      var runner = new FFMpegRunner(['-i', filename, '-frames:v', '1', '-f', 'rawvideo', '-pix_fmt', 'rgb24', rawname]);
+      runner.on('error', failOnError(done));
+      runner.on('done', function() {
+        var pixels = fs.readFileSync(rawname);
+        utils.deleteNoFail(rawname);
+        var found = false;
+        for (var ii = 0; ii < pixels.length; ii += 3) {
+          found = found || (Math.abs(pixels[ii] - 0x12) < 4 &&
+                            Math.abs(pixels[ii + 1] - 0x34) < 4 &&
+                            Math.abs(pixels[ii + 2] - 0x56) < 4);
+        }
+        found.should.be.true();
+        done();
+      });
+    };
+
+    var handleError = failOnError(done);
+
+    var handleProcess = function() {
+      if (!started) {
+        started = true;
+        testFrames.slice(0, 5).forEach(function(dataUrl) {
+          ffmpegServer.add({
+            toDataURL: function() {
+              return dataUrl;
+            },
+          });
+        });
+        ffmpegServer.end();
+      }
+    };
+
+    ffmpegServer.on('process', handleProcess);
+    ffmpegServer.on('finished', handleFinished);
+    ffmpegServer.on('error', handleError);
+
+    ffmpegServer.start({
+      name: "palette",
+      preset: "gif-palette",
+      overlays: [
+        { type: "text", text: "W", size: 32, color: "123456", anchor: "center" },
+      ],
+    });
+  });
+
+  it('keeps the times frames were sent with', function(done) {
+    this.timeout(10000);
+    var ffmpegServer = makeFFMpegServer();
+    var started = false;
+
+    var handleFinished = function(url, size, info) {
+      var filename = path.join(videoDir, path.basename(url));
+      var runner = new FFMpegRunner(['-i', filename, '-f', 'null', '-']);
+      runner.on('done', function(result) {
+        var m = /Duration: (\d+):(\d+):([\d.]+)/.exec(result.stderr);
+        var duration = parseInt(m[1]) * 3600 + parseInt(m[2]) * 60 + parseFloat(m[3]);
+        duration.should.be.approximately((testFrames.length - 1) * 0.5 + 1 / 30, 0.05);
+        done();
+      });
+    };
+
+    var handleError = failOnError(done);
+
+    var handleProcess = function() {
+      if (!started) {
+        started = true;
+        testFrames.forEach(function(dataUrl, ndx) {
+          ffmpegServer.add({
+            toDataURL: function() {
+              return dataUrl;
+            },
+          }, ndx * 0.5);
+        });
+
+        ffmpegServer.end();
+      }
+    };
+
+    ffmpegServer.on('process', handleProcess);
+    ffmpegServer.on('finished', handleFinished);
+    ffmpegServer.on('error', handleError);
+
+    ffmpegServer.start({
+      name: "times",
+      extension: ".mkv",
+      stream: true,
+    });
+  });
+
+  it('holds frames that do not change', function(done) {
+    this.timeout(10000);
+    var ffmpegServer = makeFFMpegServer();
+    var started = false;
+    var frames = [testFrames[0], testFrames[0], testFrames[0], testFrames[1], testFrames[2]];
+    var numRepeats = 10;
+
+    var handleFinished = function(url, size, info) {
+      var filename = path.join(videoDir, path.basename(url));
+      var runner = new FFMpegRunner(['-i', filename, '-f', 'null', '-']);
+      runner.on('done', function(result) {
+        var m = /Duration: (\d+):(\d+):([\d.]+)/.exec(result.stderr);
+        var duration = parseInt(m[1]) * 3600 + parseInt(m[2]) * 60 + parseFloat(m[3]);
+        duration.should.be.approximately((frames.length + numRepeats) / 30, 0.02);
+        done();
+      });
+    };
+
+    var handleError = failOnError(done);
+
+    var handleProcess = function() {
+      if (!started) {
+        started = true;
+        frames.forEach(function(dataUrl) {
+          ffmpegServer.add({
+            toDataURL: function() {
+              return dataUrl;
+            },
+          });
+        });
+        ffmpegServer.repeatLastFrame(numRepeats);
+        ffmpegServer.end();
+      }
+    };
+
+    ffmpegServer.on('process', handleProcess);
+    ffmpegServer.on('finished', handleFinished);
+    ffmpegServer.on('error', handleError);
+
+    ffmpegServer.start({
+      name: "holds",
+      extension: ".mkv",
+      dedupe: true,
+    });
+  });
+
+  it('can save an image sequence', function(done) {
+    this.timeout(10000);
+    var ffmpegServer = makeFFMpegServer();
+    var started = false;
+    var frames = testFrames.slice(0, 5);
+    var numRepeats = 3;
+
+    var handleFinished = function(url, size, info) {
+      url.should.match(/sequence-\d+-[0-9a-f]{8}\.zip$/);
+      info.numFrames.should.equal(frames.length + numRepeats);
+      var zip = fs.readFileSync(path.join(videoDir, path.basename(url)));
+      zip.length.should.equal(size);
+      zip.readUInt16LE(zip.length - 22 + 10).should.equal(frames.length + numRepeats);
+      zip.toString('utf8', 30, 30 + 28).should.equal("sequence/sequence.000000.tif");
+      done();
+    };
+
+    var handleError = failOnError(done);
+
+    var handleProcess = function() {
+      if (!started) {
+        started = true;
+        frames.forEach(function(dataUrl) {
+          ffmpegServer.add({
+            toDataURL: function() {
+              return dataUrl;
+            },
+          });
+        });
+        ffmpegServer.repeatLastFrame(numRepeats);
+        ffmpegServer.end();
+      }
+    };
+
+    ffmpegServer.on('process', handleProcess);
+    ffmpegServer.on('finished', handleFinished);
+    ffmpegServer.on('error', handleError);
+
+    ffmpegServer.start({
+      name: "sequence",
+      output: "sequence",
+      sequenceFormat: "tiff",
+      flipY: true,
+    });
+  });
+
+  it('rejects sequence formats ffmpeg can not make', function(done) {
+    // The bundled ffmpeg is older than the exr encoder
+    frameFormats.sequenceFormats.png.available.should.be.true();
+    frameFormats.sequenceFormats.exr.available.should.be.false();
+
+    var ffmpegServer = makeFFMpegServer();
+
+    ffmpegServer.on('error', function(data) {
+      data.field.should.equal("sequenceFormat");
+      done();
+    });
+
+    ffmpegServer.start({
+      name: "exr",
+      output: "sequence",
+      sequenceFormat: "exr",
+    });
+  });
+
+  it('keeps the frames of a sequence it could not archive', function(done) {
+    this.timeout(5000);
+    var frames = testFrames.slice(0, 3);
+    var blocker;
+
+    connect({
+      start: function(data, client) {
+        client.send({ cmd: 'start', data: { name: 'noarchive', output: 'sequence' } });
+      },
+      started: function(data, client) {
+        // A link to nowhere where the zip goes makes writing it fail
+        blocker = path.join(videoDir, data.name + "-" + data.session.substr(0, 8) + ".zip");
+        fs.symlinkSync(path.join(videoDir, "missing", "missing.zip"), blocker);
+        frames.forEach(function(dataURL) {
+          client.send({ cmd: 'frame', data: { dataURL: dataURL } });
+        });
+        client.send({ cmd: 'end' });
+      },
+      error: function(data, client) {
+        fs.unlinkSync(blocker);
+        data.canReencode.should.be.true();
+        client.send({ cmd: 'reencode', data: { archive: "tar" } });
+      },
+      end: function(data) {
+        path.extname(data.pathname).should.equal(".tar");
+        data.numFrames.should.equal(frames.length);
+        done();
+      },
+    });
+  });
+
+  it('can encode a failed video again', function(done) {
+    this.timeout(10000);
+    var ffmpegServer = makeFFMpegServer();
+    var started = false;
+    var failed = false;
+
+    var handleFinished = function(url) {
+      failed.should.be.true();
+      path.extname(url).should.equal(".mkv");
+      fs.existsSync(path.join(videoDir, path.basename(url))).should.be.true();
+      Promise.delay(10).then(function() {
+        fs.readdirSync(frameDir).filter(function(file) {
+          return file.indexOf("again-") === 0;
+        }).length.should.equal(0);
+      }).then(done, done);
+    };
+
+    var handleError = function(data) {
+      if (failed || !data.canReencode) {
+        console.error(data);
+        assert(false);
+        done();
+        return;
+      }
+      failed = true;
+      server.getP("http://localhost:0/api/v1/jobs").then(function(res) {
+        var job = JSON.parse(res.body).jobs.filter(function(job) {
+          return job.name && job.name.indexOf("again-") === 0;
+        })[0];
+        job.state.should.equal("error");
+        job.canReencode.should.be.true();
+        return server.postJSONP("http://localhost:0/api/v1/jobs/" + job.id + "/reencode", {
+          codec: "nope",
+        });
+      }).then(function(res) {
+        res.statusCode.should.equal(400);
+        JSON.parse(res.body).field.should.equal("codec");
+        ffmpegServer.reencode({
+          extension: ".mkv",
+          codec: "mpeg4",
+        });
+      }).catch(done);
+    };
+
+    var handleProcess = function() {
+      if (!started) {
+        started = true;
+        testFrames.slice(0, 4).forEach(function(dataUrl) {
+          ffmpegServer.add({
+            toDataURL: function() {
+              return dataUrl;
+            },
+          });
+        });
+        ffmpegServer.end();
+      }
+    };
+
+    ffmpegServer.on('process', handleProcess);
+    ffmpegServer.on('finished', handleFinished);
+    ffmpegServer.on('error', handleError);
+
+    // webm can't hold mpeg4 so the first encode fails.
+    ffmpegServer.start({
+      name: "again",
+      extension: ".webm",
+      codec: "mpeg4",
+    });
+  });
+
+  it('rejects bad settings', function(done) {
+    var ffmpegServer = makeFFMpegServer();
+
+    ffmpegServer.on('error', function(data) {
+      data.field.should.equal("codec");
+      done();
+    });
+
+    ffmpegServer.start({
+      name: "bad",
+      codec: "mpeg4 $(touch pwned)",
+    });
+  });
+
+  it('rejects transparency it can not keep', function(done) {
+    var ffmpegServer = makeFFMpegServer();
+
+    ffmpegServer.on('error', function(data) {
+      data.field.should.equal("outputs[1].codec");
+      data.msg.should.startWith("libx264 can't be transparent");
+      done();
+    });
+
+    ffmpegServer.start({
+      name: "bad",
+      outputs: [
+        { transparent: true },
+        { transparent: true, extension: ".mov", codec: "libx264" },
+      ],
+    });
+  });
+
+  it('rejects overlays that name a font file', function(done) {
+    var ffmpegServer = makeFFMpegServer();
+
+    ffmpegServer.on('error', function(data) {
+      data.field.should.equal("overlays");
+      data.msg.should.containEql("fontFile");
+      done();
+    });
+
+    ffmpegServer.start({
+      name: "fontfile",
+      overlays: [{ type: "text", text: "hi", fontFile: "/etc/passwd" }],
+    });
+  });
+
+  it('rejects bad presets', function(done) {
+    var ffmpegServer = makeFFMpegServer();
+
+    ffmpegServer.on('error', function(data) {
+      data.field.should.equal("outputs[1].presetParams.crf");
+      done();
+    });
+
+    ffmpegServer.start({
+      name: "bad",
+      outputs: [
+        { preset: "web-h264-high" },
+        { preset: "web-h264-high", presetParams: { crf: 100 } },
+      ],
+    });
+  });
+
   function deleteFiles(dir, extensions) {
     if (fs.existsSync(dir)) {
       var files = fs.readdirSync(dir);
@@ -185,7 +1111,7 @@ describe('video-encode', function() {
       server.close();
     }
     if (videoDir) {
-      deleteFiles(videoDir, [".mp4"]);
+      deleteFiles(videoDir, [".mp4", ".mkv", ".zip", ".tar", ".json", ".jpg", ".gif"]);
     }
     if (frameDir) {
       deleteFiles(frameDir, [".png"]);
@@ -195,3 +1121,103 @@ describe('video-encode', function() {
 
 });
 
+describe('video-encode leftovers', function() {
+
+  var server;
+  var frameDir;
+  var videoDir;
+
+  // Makes the folder a job leaves if the server stops while it's going
+  var makeLeftover = function(id, manifest) {
+    var dir = path.join(frameDir, id);
+    fs.mkdirSync(dir);
+    testFrames.slice(0, 5).forEach(function(dataURL, ndx) {
+      fs.writeFileSync(path.join(dir, manifest.name + "-" + ndx + ".png"),
+                       Buffer.from(dataURL.substr(dataURL.indexOf(",") + 1), 'base64'));
+    });
+    manifest.settings = { name: "crashed" };
+    manifest.framePattern = manifest.name + "-%d.png";
+    manifest.created = Date.now();
+    manifest.files = [];
+    fs.writeFileSync(path.join(dir, "job.json"), JSON.stringify(manifest));
+  };
+
+  before(function() {
+    return utils.getTempFolder().then(function(dir) {
+      frameDir = dir;
+      return utils.getTempFolder();
+    }).then(function(dir) {
+      videoDir = dir;
+      makeLeftover("crashed-1-0badf00d", { name: "crashed-1", state: "encoding", numImages: 5 });
+      makeLeftover("failed-2-0badf00d", { name: "failed-2", state: "error", numImages: 5, keptUntil: Date.now() + 60000 });
+      makeLeftover("expired-3-0badf00d", { name: "expired-3", state: "error", numImages: 5, keptUntil: Date.now() - 1 });
+      return makeServer({
+        frameDir: frameDir,
+        videoDir: videoDir,
+      });
+    }).then(function(s) {
+      server = s;
+    });
+  });
+
+  it('keeps failed jobs until their time is up', function() {
+    fs.readdirSync(frameDir).should.eql(["failed-2-0badf00d"]);
+    return server.getP("http://localhost:0/api/v1/leftovers").then(function(res) {
+      JSON.parse(res.body).leftovers.map(function(leftover) {
+        return leftover.id;
+      }).should.eql(["failed-2-0badf00d"]);
+    });
+  });
+
+  it('can encode a leftover job', function() {
+    this.timeout(10000);
+    var waitUntilDone = function(id) {
+      return server.getP("http://localhost:0/api/v1/jobs/" + id).then(function(res) {
+        var job = JSON.parse(res.body);
+        if (job.state === "done") {
+          return job;
+        }
+        job.state.should.not.equal("error");
+        return Promise.delay(50).then(function() {
+          return waitUntilDone(id);
+        });
+      });
+    };
+
+    var url = "http://localhost:0/api/v1/leftovers/failed-2-0badf00d/reencode";
+    return server.postJSONP(url, { codec: "nope" }).then(function(res) {
+      res.statusCode.should.equal(400);
+      JSON.parse(res.body).field.should.equal("codec");
+      fs.existsSync(path.join(frameDir, "failed-2-0badf00d")).should.be.true();
+      return server.postJSONP(url, {});
+    }).then(function(res) {
+      res.statusCode.should.equal(200);
+      var job = JSON.parse(res.body);
+      job.name.should.equal("failed-2");
+      job.frameCount.should.equal(5);
+      return waitUntilDone(job.id);
+    }).then(function(job) {
+      job.output.pathname.should.endWith("failed-2-0badf00d.mp4");
+      fs.existsSync(path.join(videoDir, "failed-2-0badf00d.mp4")).should.be.true();
+      return Promise.delay(10);
+    }).then(function() {
+      fs.readdirSync(frameDir).should.eql([]);
+      return server.getP("http://localhost:0/api/v1/leftovers");
+    }).then(function(res) {
+      JSON.parse(res.body).leftovers.should.eql([]);
+    });
+  });
+
+  after(function() {
+    if (server) {
+      server.close();
+    }
+    [frameDir, videoDir].forEach(function(dir) {
+      if (dir) {
+        utils.deleteTree(dir);
+      }
+    });
+  });
+
+});
+